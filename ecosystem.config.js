@@ -5,7 +5,9 @@ module.exports = {
       script: "./server.js",
 
       // Process management
-      instances: "max",
+      // Each instance has its own CLI process pool (CLAUDE_MAX_CONCURRENCY /
+      // GEMINI_MAX_CONCURRENCY), so the total is instances x pool size
+      instances: process.env.PM2_INSTANCES || 1,
       exec_mode: "cluster",
 
       // Environment
@@ -46,7 +48,9 @@ module.exports = {
       ignore_watch: ["node_modules", "logs", ".git"],
 
       // Advanced features
-      kill_timeout: 5000,
+      // Covers SHUTDOWN_GRACE_PERIOD + SHUTDOWN_KILL_TIMEOUT, so in-flight
+      // requests can drain before pm2 kills the process
+      kill_timeout: 40000,
       listen_timeout: 3000,
       shutdown_with_message: false,
 
@@ -1,10 +1,22 @@
 const express = require("express");
 const { spawn } = require("child_process");
+const { AsyncLocalStorage } = require("async_hooks");
+const crypto = require("crypto");
+const { StringDecoder } = require("string_decoder");
+const dns = require("dns");
+const fs = require("fs");
+const os = require("os");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const path = require("path");
 const basicAuth = require("express-basic-auth");
 const rateLimit = require("express-rate-limit");
-const morgan = require("morgan");
 const helmet = require("helmet");
 const cors = require("cors");
+const multer = require("multer");
+const Ajv = require("ajv");
+const { WebSocketServer, WebSocket } = require("ws");
 require("dotenv").config();
 
 const app = express();
@@ -21,21 +33,373 @@ const CONFIG = {
   RATE_LIMIT_WINDOW: parseInt(process.env.RATE_LIMIT_WINDOW) || 15 * 60 * 1000, // 15 min
   RATE_LIMIT_MAX: parseInt(process.env.RATE_LIMIT_MAX) || 100,
   LOG_LEVEL: process.env.LOG_LEVEL || "info",
+  LOG_DEBUG_ARGS: process.env.LOG_DEBUG_ARGS === "true",
   CORS_ORIGIN: process.env.CORS_ORIGIN || "*",
   DEFAULT_CLI: process.env.DEFAULT_CLI || "claude", // claude or gemini
   ENABLE_FALLBACK: process.env.ENABLE_FALLBACK === "true" || true, // Enable fallback by default
   CLAUDE_DEFAULT_MODEL: process.env.CLAUDE_DEFAULT_MODEL || "sonnet",
   GEMINI_DEFAULT_MODEL: process.env.GEMINI_DEFAULT_MODEL || "gemini-2.5-flash",
+  JOBS_FILE: process.env.JOBS_FILE || "./data/jobs.json",
+  JOB_CONCURRENCY: parseInt(process.env.JOB_CONCURRENCY) || 2,
+  JOB_RETENTION: parseInt(process.env.JOB_RETENTION) || 24 * 60 * 60 * 1000, // 24 hours
+  WEBHOOK_SECRET: process.env.WEBHOOK_SECRET || "",
+  WEBHOOK_MAX_ATTEMPTS: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+  WEBHOOK_RETRY_DELAY: parseInt(process.env.WEBHOOK_RETRY_DELAY) || 1000,
+  WEBHOOK_TIMEOUT: parseInt(process.env.WEBHOOK_TIMEOUT) || 10000,
+  WEBHOOK_ALLOWED_HOSTS: (process.env.WEBHOOK_ALLOWED_HOSTS || "")
+    .split(",")
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean),
+  WEBHOOK_ENCRYPTION_KEY: process.env.WEBHOOK_ENCRYPTION_KEY || "",
+  CLAUDE_MAX_CONCURRENCY: parseInt(process.env.CLAUDE_MAX_CONCURRENCY) || 4,
+  GEMINI_MAX_CONCURRENCY: parseInt(process.env.GEMINI_MAX_CONCURRENCY) || 4,
+  POOL_MAX_QUEUE: parseInt(process.env.POOL_MAX_QUEUE) || 50,
+  POOL_QUEUE_TIMEOUT: parseInt(process.env.POOL_QUEUE_TIMEOUT) || 60000, // 1 minute
+  BATCH_MAX_PROMPTS: parseInt(process.env.BATCH_MAX_PROMPTS) || 10,
+  BATCH_MAX_CONCURRENCY: parseInt(process.env.BATCH_MAX_CONCURRENCY) || 5,
+  SESSIONS_FILE: process.env.SESSIONS_FILE || "./data/sessions.json",
+  API_KEYS_FILE: process.env.API_KEYS_FILE || "./data/api-keys.json",
+  ADMIN_API_KEY: process.env.ADMIN_API_KEY || "",
+  POLICY_FILE: process.env.POLICY_FILE || "",
+  TEMPLATES_DIR: process.env.TEMPLATES_DIR || "./data/templates",
+  USAGE_FILE: process.env.USAGE_FILE || "./data/usage.jsonl",
+  CACHE_ENABLED: process.env.CACHE_ENABLED === "true",
+  CACHE_TTL: parseInt(process.env.CACHE_TTL) || 60 * 60 * 1000, // 1 hour
+  CACHE_MAX_ENTRIES: parseInt(process.env.CACHE_MAX_ENTRIES) || 500,
+  CACHE_DIR: process.env.CACHE_DIR || "",
+  CACHE_DIR_MAX_ENTRIES: parseInt(process.env.CACHE_DIR_MAX_ENTRIES) || 10000,
+  CACHE_DIR_MAX_SIZE:
+    parseInt(process.env.CACHE_DIR_MAX_SIZE) || 100 * 1024 * 1024, // 100 MB
+  SCHEMA_MAX_RETRIES: isNaN(parseInt(process.env.SCHEMA_MAX_RETRIES))
+    ? 2
+    : parseInt(process.env.SCHEMA_MAX_RETRIES),
+  WORKSPACE_ROOT:
+    process.env.WORKSPACE_ROOT || path.join(os.tmpdir(), "ai-cli-api"),
+  WORKSPACE_MAX_FILES: parseInt(process.env.WORKSPACE_MAX_FILES) || 20,
+  WORKSPACE_MAX_FILE_SIZE:
+    parseInt(process.env.WORKSPACE_MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10 MB
+  WORKSPACE_RETURN_MAX_SIZE:
+    parseInt(process.env.WORKSPACE_RETURN_MAX_SIZE) || 1024 * 1024, // 1 MB
+  ATTACHMENT_MAX_FILES: parseInt(process.env.ATTACHMENT_MAX_FILES) || 5,
+  ATTACHMENT_MAX_SIZE:
+    parseInt(process.env.ATTACHMENT_MAX_SIZE) || 10 * 1024 * 1024, // 10 MB
+  ATTACHMENT_ALLOWED_TYPES: (
+    process.env.ATTACHMENT_ALLOWED_TYPES ||
+    "image/png,image/jpeg,image/gif,image/webp,application/pdf,text/plain,text/markdown,text/csv,application/json"
+  )
+    .split(",")
+    .map((type) => type.trim().toLowerCase())
+    .filter(Boolean),
+  READINESS_CACHE_TTL: parseInt(process.env.READINESS_CACHE_TTL) || 30000, // 30 seconds
+  READINESS_TIMEOUT: parseInt(process.env.READINESS_TIMEOUT) || 10000,
+  PROVIDERS_FILE: process.env.PROVIDERS_FILE || "",
+  FALLBACK_CHAIN: process.env.FALLBACK_CHAIN
+    ? process.env.FALLBACK_CHAIN.split(",").map((cli) => cli.trim())
+    : null, // Defaults to DEFAULT_CLI, then the other built-in CLI
+  FALLBACK_ON: (
+    process.env.FALLBACK_ON ||
+    "spawn_error,timeout,idle_timeout,rate_limit,busy"
+  )
+    .split(",")
+    .map((kind) => kind.trim()),
+  RETRY_MAX: isNaN(parseInt(process.env.RETRY_MAX))
+    ? 2
+    : parseInt(process.env.RETRY_MAX),
+  RETRY_BASE_DELAY: parseInt(process.env.RETRY_BASE_DELAY) || 1000,
+  BREAKER_ENABLED: process.env.BREAKER_ENABLED !== "false",
+  BREAKER_FAILURE_THRESHOLD:
+    parseInt(process.env.BREAKER_FAILURE_THRESHOLD) || 5,
+  BREAKER_COOLDOWN: parseInt(process.env.BREAKER_COOLDOWN) || 60000, // 1 minute
+  WS_IDLE_TIMEOUT: parseInt(process.env.WS_IDLE_TIMEOUT) || 10 * 60 * 1000, // 10 minutes
+  SHUTDOWN_GRACE_PERIOD: isNaN(parseInt(process.env.SHUTDOWN_GRACE_PERIOD))
+    ? 30000
+    : parseInt(process.env.SHUTDOWN_GRACE_PERIOD), // 30 seconds
+  SHUTDOWN_KILL_TIMEOUT: parseInt(process.env.SHUTDOWN_KILL_TIMEOUT) || 5000,
+  PROCESS_IDLE_TIMEOUT: isNaN(parseInt(process.env.PROCESS_IDLE_TIMEOUT))
+    ? 120000
+    : parseInt(process.env.PROCESS_IDLE_TIMEOUT), // 2 minutes, 0 = off
+  PROCESS_KILL_GRACE: parseInt(process.env.PROCESS_KILL_GRACE) || 5000,
+  PROCESS_MAX_OUTPUT:
+    parseInt(process.env.PROCESS_MAX_OUTPUT) || 10 * 1024 * 1024, // 10 MB
+  DEBUG_ERRORS: process.env.DEBUG_ERRORS === "true",
 };
 
 /**
  * Get default model for a specific CLI
  */
 function getDefaultModel(cli) {
-  if (cli === "gemini") {
-    return CONFIG.GEMINI_DEFAULT_MODEL;
+  const provider = providers.get(cli);
+  return provider ? provider.defaultModel : CONFIG.CLAUDE_DEFAULT_MODEL;
+}
+
+// ===========================
+// LOGGING
+// ===========================
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// LOG_LEVEL=combined is the old name for the default access logging
+const logThreshold =
+  CONFIG.LOG_LEVEL === "none"
+    ? Infinity
+    : LOG_LEVELS[CONFIG.LOG_LEVEL] || LOG_LEVELS.info;
+
+// Holds { requestId, cli, model } for the request being handled
+const requestContext = new AsyncLocalStorage();
+
+const REDACTED = "[REDACTED]";
+const REDACTED_FIELDS = [
+  "prompt",
+  "prompts",
+  "systemPrompt",
+  "appendSystemPrompt",
+  "system",
+  "messages",
+  "env",
+];
+const SECRET_FIELD_PATTERN =
+  /(api_?key|secret|password|token|authorization|credentials?)$/i;
+
+/**
+ * Replace prompts and secrets in a value that is about to be logged
+ */
+function redact(value, field) {
+  if (value === undefined || value === null) return value;
+
+  if (field && REDACTED_FIELDS.includes(field)) return REDACTED;
+  if (field && SECRET_FIELD_PATTERN.test(field) && typeof value !== "object") {
+    return REDACTED;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item));
+  }
+  if (typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, redact(item, key)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Redact a CLI argument vector. The prompt (the last argument, unless
+ * `hasPrompt` is false) and system prompts are removed; JSON settings and
+ * MCP configs keep their structure with secrets and env values removed.
+ * LOG_DEBUG_ARGS=true logs the full vector.
+ */
+function redactArgs(args, hasPrompt = true) {
+  if (CONFIG.LOG_DEBUG_ARGS) return args;
+
+  let flag = null;
+  return args.map((arg, i) => {
+    if (hasPrompt && i === args.length - 1) return "<prompt>";
+    if (arg.startsWith("--")) {
+      flag = arg;
+      return arg;
+    }
+    if (flag === "--system-prompt" || flag === "--append-system-prompt") {
+      return REDACTED;
+    }
+    if (flag === "--settings" || flag === "--mcp-config") {
+      try {
+        return JSON.stringify(redact(JSON.parse(arg)));
+      } catch (e) {
+        return flag === "--settings" ? REDACTED : arg;
+      }
+    }
+    return arg;
+  });
+}
+
+/**
+ * Write one JSON log line. Lines carry the request id, CLI and model of the
+ * current request when there is one.
+ */
+function log(level, message, fields = {}) {
+  if (LOG_LEVELS[level] < logThreshold) return;
+
+  const context = requestContext.getStore() || {};
+  const line = JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    requestId: context.requestId,
+    cli: context.cli,
+    model: context.model,
+    ...redact(fields),
+  });
+
+  if (LOG_LEVELS[level] >= LOG_LEVELS.warn) {
+    process.stderr.write(line + "\n");
+  } else {
+    process.stdout.write(line + "\n");
+  }
+}
+
+const logger = {
+  debug: (message, fields) => log("debug", message, fields),
+  info: (message, fields) => log("info", message, fields),
+  warn: (message, fields) => log("warn", message, fields),
+  error: (message, fields) => log("error", message, fields),
+};
+
+/**
+ * Record the CLI and model handling the current request so later log lines
+ * carry them
+ */
+function setLogContext(cli, model) {
+  const context = requestContext.getStore();
+  if (context) {
+    context.cli = cli;
+    context.model = model;
+  }
+}
+
+/**
+ * Take the request id from X-Request-Id or generate one, echo it in the
+ * response, and write an access log line when the response finishes
+ */
+function assignRequestId(req, res, next) {
+  const incoming = req.get("X-Request-Id");
+  const requestId =
+    incoming && /^[\w.:-]{1,128}$/.test(incoming)
+      ? incoming
+      : crypto.randomUUID();
+  const context = { requestId, route: req.path };
+  const startedAt = Date.now();
+
+  req.id = requestId;
+  res.setHeader("X-Request-Id", requestId);
+
+  res.on("finish", () => {
+    requestContext.run(context, () => {
+      logger.info("Request completed", {
+        method: req.method,
+        path: req.originalUrl.split("?")[0],
+        status: res.statusCode,
+        durationMs: Date.now() - startedAt,
+        ip: req.ip,
+      });
+    });
+  });
+
+  requestContext.run(context, next);
+}
+
+// ===========================
+// ERRORS
+// ===========================
+
+// Stable error codes returned to clients, with their HTTP status and whether
+// the same request may succeed when sent again later
+const ERROR_CODES = {
+  invalid_request: { status: 400, retryable: false },
+  invalid_model: { status: 400, retryable: false },
+  prompt_too_long: { status: 400, retryable: false },
+  unauthorized: { status: 401, retryable: false },
+  cli_auth_failed: { status: 401, retryable: false },
+  forbidden: { status: 403, retryable: false },
+  policy_violation: { status: 403, retryable: false },
+  not_found: { status: 404, retryable: false },
+  conflict: { status: 409, retryable: false },
+  payload_too_large: { status: 413, retryable: false },
+  upgrade_required: { status: 426, retryable: false },
+  cancelled: { status: 499, retryable: false },
+  schema_mismatch: { status: 422, retryable: true },
+  too_many_requests: { status: 429, retryable: true },
+  quota_exceeded: { status: 429, retryable: true },
+  rate_limited: { status: 429, retryable: true },
+  queue_full: { status: 429, retryable: true },
+  internal_error: { status: 500, retryable: false },
+  cli_error: { status: 502, retryable: true },
+  output_limit: { status: 502, retryable: false },
+  cli_unavailable: { status: 503, retryable: true },
+  queue_timeout: { status: 503, retryable: true },
+  circuit_open: { status: 503, retryable: true },
+  shutting_down: { status: 503, retryable: true },
+  timeout: { status: 504, retryable: true },
+  idle_timeout: { status: 504, retryable: true },
+};
+
+// Codes for errors that only carry an HTTP status
+const STATUS_ERROR_CODES = {
+  400: "invalid_request",
+  401: "unauthorized",
+  403: "forbidden",
+  404: "not_found",
+  409: "conflict",
+  413: "payload_too_large",
+  429: "too_many_requests",
+};
+
+/**
+ * Build an error with one of the ERROR_CODES and its HTTP status
+ * @param {string} code - Key of ERROR_CODES
+ * @param {string} message - Shown to the client
+ */
+function createAPIError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = ERROR_CODES[code].status;
+  return error;
+}
+
+/**
+ * Build the error for work stopped because its request or job was cancelled
+ */
+function createCancelledError() {
+  const error = createAPIError("cancelled", "Request cancelled");
+  error.kind = "cancelled";
+  return error;
+}
+
+/**
+ * The client-facing description of an error. Errors without a known code
+ * are classified by their status; anything else is an internal_error whose
+ * message is hidden, like CLI output (error.detail), unless DEBUG_ERRORS is on.
+ * @returns {{status: number, code: string, message: string,
+ *   retryable: boolean, detail?: string}}
+ */
+function describeError(error) {
+  let code = ERROR_CODES[error.code] ? error.code : null;
+  if (!code) code = STATUS_ERROR_CODES[error.status] || "internal_error";
+
+  const description = {
+    status: ERROR_CODES[code].status,
+    code,
+    message:
+      code === "internal_error" && !CONFIG.DEBUG_ERRORS
+        ? "Internal server error"
+        : error.message,
+    retryable: ERROR_CODES[code].retryable,
+  };
+  if (CONFIG.DEBUG_ERRORS && error.detail) {
+    description.detail = error.detail;
   }
-  return CONFIG.CLAUDE_DEFAULT_MODEL;
+  return description;
+}
+
+/**
+ * Send an error response. Every error body has the same shape:
+ * `{ error, code, message, retryable }`, plus `detail` with DEBUG_ERRORS
+ * and any extra fields. Retry-After is set when the error carries one.
+ * @param {Object} res - Express response
+ * @param {Error} error - Error to report
+ * @param {string} [summary] - Short description for `error`
+ * @param {Object} [extra] - Additional body fields
+ */
+function sendError(res, error, summary = "Request failed", extra = {}) {
+  const { status, ...description } = describeError(error);
+  applyErrorHeaders(res, error);
+  res.status(status).json({ error: summary, ...description, ...extra });
+}
+
+/**
+ * An error as a streamed event: `{ type: "error", error, code, retryable }`
+ */
+function toErrorEvent(error) {
+  const { status, message, ...description } = describeError(error);
+  return { type: "error", error: message, ...description };
 }
 
 // ===========================
@@ -57,20 +421,38 @@ app.use(
 app.use(express.json({ limit: "50mb" }));
 app.use(express.urlencoded({ extended: true, limit: "50mb" }));
 
-// Logging
-if (CONFIG.LOG_LEVEL !== "none") {
-  app.use(morgan("combined"));
-}
+// Request ids and access logging
+app.use(assignRequestId);
+
+// Metrics
+app.use(trackRequestMetrics);
+
+// Refuse new work once shutdown has started, count the rest until it drains
+app.use(trackInFlightRequests);
 
 // Rate limiting
+// API keys are limited per key (with their own max), everyone else per IP
 const limiter = rateLimit({
   windowMs: CONFIG.RATE_LIMIT_WINDOW,
-  max: CONFIG.RATE_LIMIT_MAX,
-  message: { error: "Too many requests, please try again later." },
+  max: (req) => {
+    const key = resolveApiKey(req);
+    return key && key.rateLimit ? key.rateLimit : CONFIG.RATE_LIMIT_MAX;
+  },
+  keyGenerator: (req) => {
+    const key = resolveApiKey(req);
+    return key ? `key:${key.id}` : req.ip;
+  },
+  message: {
+    error: "Too many requests",
+    code: "too_many_requests",
+    message: "Too many requests, please try again later.",
+    retryable: true,
+  },
   standardHeaders: true,
   legacyHeaders: false,
 });
 app.use("/api/", limiter);
+app.use("/v1/", limiter);
 
 // Basic Authentication
 const authMiddleware = basicAuth({
@@ -81,20 +463,77 @@ const authMiddleware = basicAuth({
   }, {}),
   challenge: true,
   realm: "Claude Code API",
+  unauthorizedResponse: () => ({
+    error: "Unauthorized",
+    code: "unauthorized",
+    message: "Valid credentials required",
+    retryable: false,
+  }),
 });
 
-// Apply auth conditionally
+// Apply auth conditionally. Bearer API keys are accepted alongside Basic auth
+// and carry their own scopes and quotas.
 const maybeAuth = (req, res, next) => {
+  const token = getRequestToken(req);
+  const proceed = () => {
+    setCaller(req);
+    next();
+  };
+
+  if (token) {
+    if (isAdminToken(token)) {
+      return proceed();
+    }
+    if (resolveApiKey(req)) {
+      return authorizeApiKey(req, res, proceed);
+    }
+    if (CONFIG.AUTH_ENABLED) {
+      return sendError(
+        res,
+        createAPIError("unauthorized", "Invalid or revoked API key"),
+        "Unauthorized"
+      );
+    }
+  }
+
   if (CONFIG.AUTH_ENABLED) {
-    return authMiddleware(req, res, next);
+    return authMiddleware(req, res, proceed);
   }
-  next();
+  proceed();
+};
+
+// Admin routes require ADMIN_API_KEY or an API key with the admin scope
+const requireAdmin = (req, res, next) => {
+  if (isAdminRequest(req)) {
+    return next();
+  }
+
+  const token = getRequestToken(req);
+  sendError(
+    res,
+    createAPIError(
+      token ? "forbidden" : "unauthorized",
+      "Admin API key required"
+    ),
+    token ? "Forbidden" : "Unauthorized"
+  );
 };
 
 // ===========================
 // HELPER FUNCTIONS
 // ===========================
 
+/**
+ * Put the system prompt and appended system prompt in front of the prompt,
+ * for CLIs without a system prompt flag (Gemini and command providers)
+ */
+function prependSystemPrompt(prompt, { systemPrompt, appendSystemPrompt }) {
+  const system = [systemPrompt, appendSystemPrompt]
+    .filter(Boolean)
+    .join("\n\n");
+  return system ? `System: ${system}\n\nUser: ${prompt}` : prompt;
+}
+
 /**
  * Map common parameters to Gemini CLI arguments
  */
@@ -104,9 +543,9 @@ function mapToGeminiArgs(options) {
     outputFormat = "json",
     model = getDefaultModel("gemini"),
     systemPrompt,
+    appendSystemPrompt,
     allowedTools,
     dangerouslySkipPermissions = false,
-    sessionId,
     resumeSession,
   } = options;
 
@@ -124,12 +563,11 @@ function mapToGeminiArgs(options) {
   // Model (always add model, use default if not specified)
   args.push("--model", model);
 
-  // System prompt (Gemini uses extensions or inline prompt modification)
-  // Note: Gemini doesn't have direct --system-prompt flag, so we prepend it to the prompt
-  let finalPrompt = prompt;
-  if (systemPrompt) {
-    finalPrompt = `System: ${systemPrompt}\n\nUser: ${prompt}`;
-  }
+  // Gemini has no --system-prompt flag, so system prompts go in the prompt
+  const finalPrompt = prependSystemPrompt(prompt, {
+    systemPrompt,
+    appendSystemPrompt,
+  });
 
   // YOLO mode (auto-approve all tools)
   if (dangerouslySkipPermissions) {
@@ -139,11 +577,10 @@ function mapToGeminiArgs(options) {
   }
 
   // Session management
+  // Gemini has no --session-id, so sessionId is not mapped; resuming "latest"
+  // could pick up another caller's conversation. Use /api/sessions instead.
   if (resumeSession) {
     args.push("--resume", resumeSession);
-  } else if (sessionId) {
-    // Gemini doesn't have session-id, but we can use resume with "latest"
-    args.push("--resume", "latest");
   }
 
   // Add prompt last
@@ -156,65 +593,24 @@ function mapToGeminiArgs(options) {
  * Execute Gemini CLI command
  */
 function executeGeminiCLI(options) {
-  return new Promise((resolve, reject) => {
-    const { timeout = CONFIG.REQUEST_TIMEOUT } = options;
-
-    const args = mapToGeminiArgs(options);
-
-    console.log(
-      `[Gemini CLI] Executing: gemini ${args.slice(0, -1).join(" ")} <prompt>`
-    );
-
-    const gemini = spawn("gemini", args, {
-      timeout,
-      killSignal: "SIGTERM",
-      stdio: ["ignore", "pipe", "pipe"],
-      env: { ...process.env },
-      shell: false,
-    });
-
-    let stdout = "";
-    let stderr = "";
-    let killed = false;
+  const model = options.model || getDefaultModel("gemini");
+  const args = mapToGeminiArgs(options);
 
-    const timeoutHandle = setTimeout(() => {
-      killed = true;
-      gemini.kill("SIGTERM");
-      reject(new Error("Request timeout exceeded"));
-    }, timeout);
-
-    gemini.stdout.on("data", (data) => {
-      stdout += data.toString();
-    });
-
-    gemini.stderr.on("data", (data) => {
-      const errMsg = data.toString();
-      stderr += errMsg;
-      if (errMsg.trim()) {
-        console.error("[Gemini stderr]", errMsg.trim());
-      }
-    });
-
-    gemini.on("error", (error) => {
-      clearTimeout(timeoutHandle);
-      reject(new Error(`Failed to spawn Gemini CLI: ${error.message}`));
-    });
-
-    gemini.on("close", (code) => {
-      clearTimeout(timeoutHandle);
-
-      if (killed) {
-        return;
-      }
-
-      if (code !== 0) {
-        return reject(
-          new Error(`Gemini CLI exited with code ${code}: ${stderr}`)
-        );
-      }
+  logger.info("Executing CLI", {
+    cli: "gemini",
+    model,
+    args: redactArgs(args),
+  });
 
-      resolve({ stdout, stderr });
-    });
+  return runProcess({
+    cli: "gemini",
+    label: "Gemini CLI",
+    command: "gemini",
+    args,
+    model,
+    cwd: options.cwd,
+    signal: options.signal,
+    timeout: options.timeout,
   });
 }
 
@@ -222,192 +618,228 @@ function executeGeminiCLI(options) {
  * Execute Claude Code command
  */
 function executeClaudeCode(options) {
-  return new Promise((resolve, reject) => {
-    const {
-      prompt,
-      outputFormat = "json",
-      model = getDefaultModel("claude"),
-      systemPrompt,
-      appendSystemPrompt,
-      allowedTools,
-      disallowedTools,
-      dangerouslySkipPermissions = false,
-      settings,
-      mcpConfig,
-      sessionId,
-      continueSession = false,
-      resumeSession,
-      includePartialMessages = false,
-      timeout = CONFIG.REQUEST_TIMEOUT,
-    } = options;
-
-    const args = ["--print"];
-
-    // Output format
-    args.push("--output-format", outputFormat);
-    if (includePartialMessages && outputFormat === "stream-json") {
-      args.push("--include-partial-messages");
-    }
+  const {
+    prompt,
+    outputFormat = "json",
+    model = getDefaultModel("claude"),
+    systemPrompt,
+    appendSystemPrompt,
+    allowedTools,
+    disallowedTools,
+    dangerouslySkipPermissions = false,
+    settings,
+    mcpConfig,
+    sessionId,
+    continueSession = false,
+    resumeSession,
+    includePartialMessages = false,
+    timeout,
+    signal,
+    cwd,
+  } = options;
 
-    // Model
-    if (model) args.push("--model", model);
+  const args = ["--print"];
 
-    // System prompts
-    if (systemPrompt) args.push("--system-prompt", systemPrompt);
-    if (appendSystemPrompt)
-      args.push("--append-system-prompt", appendSystemPrompt);
+  // Output format
+  args.push("--output-format", outputFormat);
+  if (includePartialMessages && outputFormat === "stream-json") {
+    args.push("--include-partial-messages");
+  }
 
-    // Tool controls
-    if (allowedTools && allowedTools.length > 0) {
-      args.push("--allowed-tools", allowedTools.join(" "));
-    }
-    if (disallowedTools && disallowedTools.length > 0) {
-      args.push("--disallowed-tools", disallowedTools.join(" "));
-    }
+  // Model
+  if (model) args.push("--model", model);
 
-    // Permissions
-    if (dangerouslySkipPermissions) {
-      args.push("--dangerously-skip-permissions");
-    }
+  // System prompts
+  if (systemPrompt) args.push("--system-prompt", systemPrompt);
+  if (appendSystemPrompt)
+    args.push("--append-system-prompt", appendSystemPrompt);
 
-    // Settings
-    if (settings) {
-      args.push("--settings", JSON.stringify(settings));
-    }
+  // Tool controls
+  if (allowedTools && allowedTools.length > 0) {
+    args.push("--allowed-tools", allowedTools.join(" "));
+  }
+  if (disallowedTools && disallowedTools.length > 0) {
+    args.push("--disallowed-tools", disallowedTools.join(" "));
+  }
 
-    // MCP Configuration
-    if (mcpConfig && mcpConfig.length > 0) {
-      args.push("--mcp-config", ...mcpConfig);
-    }
+  // Permissions
+  if (dangerouslySkipPermissions) {
+    args.push("--dangerously-skip-permissions");
+  }
 
-    // Session management
-    if (continueSession) {
-      args.push("--continue");
-    }
-    if (resumeSession) {
-      args.push("--resume", resumeSession);
-    }
-    if (sessionId) {
-      args.push("--session-id", sessionId);
-    }
+  // Settings
+  if (settings) {
+    args.push("--settings", JSON.stringify(settings));
+  }
 
-    // Add prompt last
-    args.push(prompt);
+  // MCP Configuration
+  if (mcpConfig && mcpConfig.length > 0) {
+    args.push("--mcp-config", ...mcpConfig);
+  }
 
-    console.log(
-      `[Claude Code] Executing: claude ${args.slice(0, -1).join(" ")} <prompt>`
-    );
+  // Session management
+  if (continueSession) {
+    args.push("--continue");
+  }
+  if (resumeSession) {
+    args.push("--resume", resumeSession);
+  }
+  if (sessionId) {
+    args.push("--session-id", sessionId);
+  }
 
-    const claude = spawn("claude", args, {
-      timeout,
-      killSignal: "SIGTERM",
-      stdio: ["ignore", "pipe", "pipe"], // stdin: ignore, stdout: pipe, stderr: pipe
-      env: { ...process.env }, // Inherit environment variables
-      shell: false, // Don't use shell
-    });
+  // Add prompt last
+  args.push(prompt);
 
-    let stdout = "";
-    let stderr = "";
-    let killed = false;
+  logger.info("Executing CLI", {
+    cli: "claude",
+    model,
+    args: redactArgs(args),
+  });
 
-    const timeoutHandle = setTimeout(() => {
-      killed = true;
-      claude.kill("SIGTERM");
-      reject(new Error("Request timeout exceeded"));
-    }, timeout);
+  return runProcess({
+    cli: "claude",
+    label: "Claude Code",
+    command: "claude",
+    args,
+    model,
+    cwd,
+    signal,
+    timeout,
+    // Only stream-json writes output before the run ends
+    idleTimeout:
+      outputFormat === "stream-json" ? CONFIG.PROCESS_IDLE_TIMEOUT : 0,
+  });
+}
 
-    claude.stdout.on("data", (data) => {
-      stdout += data.toString();
-    });
+/**
+ * Execute a prompt along the provider chain. Each provider is retried
+ * first (see runWithRetries); the next one is only tried when the failure
+ * kind is listed in FALLBACK_ON (or the request's fallbackOn). Providers
+ * whose circuit breaker is open are skipped.
+ * @param {Object} options - Execution options
+ * @param {string} [preferredCLI] - Provider to try first
+ * @returns {Promise<{stdout: string, stderr: string, usedCLI: string}>}
+ */
+async function executeAICLI(options, preferredCLI = null) {
+  const chain = resolveProviderChain(options, preferredCLI);
+  if (chain.length === 0) {
+    throw createAPIError("forbidden", "No CLI available for this request");
+  }
 
-    claude.stderr.on("data", (data) => {
-      const errMsg = data.toString();
-      stderr += errMsg;
-      // Log stderr in real-time for debugging
-      if (errMsg.trim()) {
-        console.error("[Claude stderr]", errMsg.trim());
-      }
-    });
+  logger.debug("Selected CLI", {
+    primary: chain[0],
+    fallbacks: chain.slice(1),
+  });
 
-    claude.on("error", (error) => {
-      clearTimeout(timeoutHandle);
-      reject(new Error(`Failed to spawn Claude Code: ${error.message}`));
-    });
+  const failures = [];
+  for (let i = 0; i < chain.length; i++) {
+    const cli = chain[i];
+    let failure;
 
-    claude.on("close", (code) => {
-      clearTimeout(timeoutHandle);
+    if (canAttempt(cli)) {
+      try {
+        const result = await runWithRetries(cli, options);
+        if (i > 0) {
+          logger.info("Fallback succeeded", { cli });
+        }
+        return { ...result, usedCLI: cli, fallbackUsed: i > 0 };
+      } catch (error) {
+        logger.error("CLI failed", {
+          cli,
+          error: error.message,
+          kind: error.kind,
+        });
 
-      if (killed) {
-        return; // Already rejected with timeout
+        // A cancelled request must not be retried on another CLI
+        if (options.signal && options.signal.aborted) {
+          throw createCancelledError();
+        }
+        failure = error;
       }
+    } else {
+      logger.warn("Circuit open, skipping CLI", { cli });
+      failure = createCircuitOpenError(cli);
+    }
 
-      if (code !== 0) {
-        return reject(
-          new Error(`Claude Code exited with code ${code}: ${stderr}`)
-        );
-      }
+    failures.push({ cli, error: failure });
+    const next = chain[i + 1];
+    if (
+      !next ||
+      (failure.kind !== "circuit_open" && !shouldFallback(failure, options))
+    ) {
+      break;
+    }
 
-      resolve({ stdout, stderr });
+    logger.warn("Falling back to other CLI", {
+      from: cli,
+      to: next,
+      reason: failure.kind,
     });
-  });
+    recordFallback(cli, next);
+  }
+
+  const lastError = failures[failures.length - 1].error;
+  if (failures.length === 1) throw lastError;
+
+  const error = new Error(
+    `All CLIs failed. ${failures
+      .map(({ cli, error }) => `${cli}: ${error.message}`)
+      .join(". ")}`
+  );
+  error.status = lastError.status;
+  error.code = lastError.code;
+  error.detail = failures
+    .filter(({ error }) => error.detail)
+    .map(({ cli, error }) => `${cli}: ${error.detail}`)
+    .join("\n");
+  error.retryAfter = lastError.retryAfter;
+  error.kind = lastError.kind;
+  throw error;
 }
 
 /**
- * Execute AI CLI command with fallback support
- * @param {Object} options - Execution options
- * @param {string} [preferredCLI] - Preferred CLI to use ('claude' or 'gemini')
- * @returns {Promise<{stdout: string, stderr: string, usedCLI: string}>}
+ * Build the command and arguments for a stream-json CLI run
+ * @param {Object} options - Request options (prompt, model, systemPrompt, ...)
+ * @param {string} cli - CLI to build for ('claude' or 'gemini')
+ * @returns {{command: string, args: string[]}}
  */
-async function executeAICLI(options, preferredCLI = null) {
-  const cliToUse = preferredCLI || options.cli || CONFIG.DEFAULT_CLI;
-  const enableFallback = CONFIG.ENABLE_FALLBACK && !options.disableFallback;
+function buildStreamCommand(options, cli) {
+  const prompt = addAttachmentReferences(
+    options.prompt,
+    options.attachments,
+    cli
+  );
+  const {
+    model,
+    systemPrompt,
+    appendSystemPrompt,
+    includePartialMessages = true,
+  } = options;
 
-  // Determine execution order
-  const primaryCLI = cliToUse === "gemini" ? "gemini" : "claude";
-  const fallbackCLI = primaryCLI === "claude" ? "gemini" : "claude";
+  const modelToUse = model || getDefaultModel(cli);
+  let args = [];
 
-  console.log(
-    `[AI CLI] Primary: ${primaryCLI}, Fallback: ${
-      enableFallback ? fallbackCLI : "disabled"
-    }`
-  );
+  if (cli === "gemini") {
+    args = ["--output-format", "stream-json"];
+    args.push("--model", modelToUse);
 
-  // Try primary CLI
-  try {
-    const result =
-      primaryCLI === "claude"
-        ? await executeClaudeCode(options)
-        : await executeGeminiCLI(options);
-
-    return { ...result, usedCLI: primaryCLI };
-  } catch (primaryError) {
-    console.error(`[${primaryCLI}] Failed:`, primaryError.message);
-
-    // Try fallback if enabled
-    if (enableFallback) {
-      console.log(`[AI CLI] Attempting fallback to ${fallbackCLI}...`);
-      try {
-        const result =
-          fallbackCLI === "claude"
-            ? await executeClaudeCode(options)
-            : await executeGeminiCLI(options);
-
-        console.log(`[AI CLI] Fallback to ${fallbackCLI} successful`);
-        return { ...result, usedCLI: fallbackCLI, fallbackUsed: true };
-      } catch (fallbackError) {
-        console.error(
-          `[${fallbackCLI}] Fallback failed:`,
-          fallbackError.message
-        );
-        throw new Error(
-          `Both CLIs failed. Primary (${primaryCLI}): ${primaryError.message}. Fallback (${fallbackCLI}): ${fallbackError.message}`
-        );
-      }
-    }
+    args.push(
+      prependSystemPrompt(prompt, { systemPrompt, appendSystemPrompt })
+    );
 
-    // No fallback, throw primary error
-    throw primaryError;
+    return { command: "gemini", args };
   }
+
+  args = ["--print", "--output-format", "stream-json"];
+  if (includePartialMessages) args.push("--include-partial-messages");
+  args.push("--model", modelToUse);
+  if (systemPrompt) args.push("--system-prompt", systemPrompt);
+  if (appendSystemPrompt)
+    args.push("--append-system-prompt", appendSystemPrompt);
+  args.push(prompt);
+
+  return { command: "claude", args };
 }
 
 /**
@@ -425,367 +857,6700 @@ function parseOutput(stdout, outputFormat) {
 }
 
 /**
- * Validate request payload
+ * Find the result event in stream-json output
+ * @returns {Object|null}
  */
-function validateRequest(body) {
-  const errors = [];
+function findResultEvent(stdout) {
+  let resultEvent = null;
+  createLineParser((line) => {
+    try {
+      const event = JSON.parse(line);
+      if (event && event.type === "result") resultEvent = event;
+    } catch (e) {
+      // Skip lines that are not JSON events
+    }
+  }).push(stdout + "\n");
+  return resultEvent;
+}
 
-  if (!body.prompt) {
-    errors.push("prompt is required");
+/**
+ * Pick the CLI that serves a given model name
+ */
+function getCLIForModel(model) {
+  if (model && /^gemini/i.test(model)) {
+    return "gemini";
   }
+  return "claude";
+}
 
-  if (body.prompt && body.prompt.length > CONFIG.MAX_PROMPT_LENGTH) {
-    errors.push(
-      `prompt exceeds maximum length of ${CONFIG.MAX_PROMPT_LENGTH} characters`
-    );
+/**
+ * Extract the assistant text from parsed CLI JSON output
+ */
+function extractResultText(parsed, cli) {
+  if (typeof parsed === "string") return parsed;
+  if (!parsed || typeof parsed !== "object") return "";
+  if (cli === "gemini") {
+    return parsed.response || "";
   }
+  return parsed.result || parsed.response || "";
+}
 
-  if (
-    body.outputFormat &&
-    !["text", "json", "stream-json"].includes(body.outputFormat)
-  ) {
-    errors.push("outputFormat must be one of: text, json, stream-json");
+/**
+ * Extract token usage and cost from parsed CLI JSON output or a stream-json
+ * result event. Gemini does not report cost, so costUsd stays null.
+ * @returns {{inputTokens: number, outputTokens: number, costUsd: number|null}}
+ */
+function extractUsage(parsed, cli) {
+  const usage = { inputTokens: 0, outputTokens: 0, costUsd: null };
+  if (!parsed || typeof parsed !== "object") return usage;
+
+  if (cli === "gemini") {
+    // stream-json result events carry flat totals
+    if (parsed.stats && parsed.stats.input_tokens !== undefined) {
+      usage.inputTokens = parsed.stats.input_tokens || 0;
+      usage.outputTokens = parsed.stats.output_tokens || 0;
+      return usage;
+    }
+    const models = (parsed.stats && parsed.stats.models) || {};
+    for (const stats of Object.values(models)) {
+      const tokens = stats.tokens || {};
+      usage.inputTokens += tokens.prompt || 0;
+      usage.outputTokens += tokens.candidates || 0;
+    }
+    return usage;
   }
 
-  return errors;
+  if (parsed.usage) {
+    usage.inputTokens =
+      (parsed.usage.input_tokens || 0) +
+      (parsed.usage.cache_read_input_tokens || 0) +
+      (parsed.usage.cache_creation_input_tokens || 0);
+    usage.outputTokens = parsed.usage.output_tokens || 0;
+  }
+  if (typeof parsed.total_cost_usd === "number") {
+    usage.costUsd = parsed.total_cost_usd;
+  }
+  return usage;
 }
 
-// ===========================
-// ROUTES
-// ===========================
+/**
+ * Split a child process stdout stream into complete lines
+ * @param {Function} onLine - Called with each non-empty line
+ * @returns {{push: Function, flush: Function}}
+ */
+function createLineParser(onLine) {
+  let buffer = "";
+  return {
+    push(chunk) {
+      buffer += chunk.toString();
+      const lines = buffer.split("\n");
+      buffer = lines.pop();
+      for (const line of lines) {
+        if (line.trim()) onLine(line);
+      }
+    },
+    flush() {
+      if (buffer.trim()) onLine(buffer);
+      buffer = "";
+    },
+  };
+}
+
+/**
+ * Extract a text delta from a single stream-json event
+ * @returns {string|null} Text fragment, or null if the event carries none
+ */
+function extractStreamText(event, cli) {
+  if (!event || typeof event !== "object") return null;
+
+  if (cli === "gemini") {
+    if (event.type === "message" && event.role === "assistant") {
+      return event.content || null;
+    }
+    return null;
+  }
+
+  if (
+    event.type === "stream_event" &&
+    event.event &&
+    event.event.type === "content_block_delta" &&
+    event.event.delta &&
+    event.event.delta.type === "text_delta"
+  ) {
+    return event.event.delta.text;
+  }
+  return null;
+}
+
+/**
+ * Flatten message content (a string or an array of content blocks) into text
+ */
+function messageContentToText(content) {
+  if (typeof content === "string") return content;
+  if (Array.isArray(content)) {
+    return content
+      .filter((part) => part && part.type === "text")
+      .map((part) => part.text)
+      .join("\n");
+  }
+  return "";
+}
+
+/**
+ * Convert a chat messages array into a prompt and system prompt.
+ * Earlier turns are rendered as a transcript ahead of the final message.
+ * @returns {{prompt: string, systemPrompt: string|undefined}}
+ */
+function messagesToPrompt(messages) {
+  const systemParts = [];
+  const turns = [];
+
+  for (const message of messages) {
+    const text = messageContentToText(message.content);
+    if (message.role === "system" || message.role === "developer") {
+      systemParts.push(text);
+    } else {
+      turns.push({ role: message.role, text });
+    }
+  }
+
+  let prompt = "";
+  if (turns.length === 1) {
+    prompt = turns[0].text;
+  } else if (turns.length > 1) {
+    prompt = turns
+      .map(
+        (turn) =>
+          `${turn.role === "assistant" ? "Assistant" : "User"}: ${turn.text}`
+      )
+      .join("\n\n");
+  }
+
+  return {
+    prompt,
+    systemPrompt: systemParts.length > 0 ? systemParts.join("\n\n") : undefined,
+  };
+}
+
+/**
+ * Run a CLI in stream-json mode and hand each parsed event to a writer.
+ * The writer translates events into a client protocol and owns the response
+ * headers; fallback is only attempted while no headers have been sent.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} options - Prompt, systemPrompt and model for the CLI
+ * @param {string} cli - CLI to run ('claude' or 'gemini')
+ * @param {boolean} allowFallback - Retry with the other CLI on spawn failure
+ * @param {Function} createWriter - (cli) => {event(event), end(), fail(error)}
+ * @returns {Promise<void>} Resolves once the CLI process has been started
+ */
+async function streamCLIEvents(
+  req,
+  res,
+  options,
+  cli,
+  allowFallback,
+  createWriter
+) {
+  const { command, args } = buildStreamCommand(options, cli);
+  const release = await acquireProcessSlot(command);
+  let workspace;
+  try {
+    workspace = await createWorkspace(options.files, options.attachments);
+  } catch (error) {
+    release();
+    throw error;
+  }
+  const writer = createWriter(cli);
+  let spawnFailed = false;
+
+  logger.info("Executing CLI", {
+    cli: command,
+    model: options.model || getDefaultModel(cli),
+    stream: true,
+    args: redactArgs(args),
+  });
+
+  const proc = superviseProcess(command, args, {
+    cwd: workspace.dir,
+    timeout: options.timeout || CONFIG.REQUEST_TIMEOUT,
+    idleTimeout: CONFIG.PROCESS_IDLE_TIMEOUT,
+    collectStderr: true,
+  });
+  const cliProcess = proc.child;
+  const recordExecution = startCLIExecution(
+    command,
+    options.model || getDefaultModel(cli)
+  );
+  let cancelled = false;
+  let resultEvent = null;
+
+  const parser = createLineParser((line) => {
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch (e) {
+      return;
+    }
+    if (event.type === "result") resultEvent = event;
+    writer.event(event);
+  });
+
+  cliProcess.stdout.on("data", (data) => parser.push(data));
+
+  cliProcess.stderr.on("data", (data) => {
+    logger.warn("CLI stderr", { cli: command, stderr: data.toString() });
+  });
+
+  cliProcess.on("error", (err) => {
+    spawnFailed = true;
+    recordExecution("spawn_error");
+    release();
+    removeWorkspace(workspace);
+    logger.error("CLI spawn failed", { cli: command, error: err.message });
+
+    const fallbacks = allowFallback ? getStreamFallbacks(cli, options) : [];
+    if (!res.headersSent && fallbacks.length > 0) {
+      logger.warn("Falling back to other CLI", {
+        from: cli,
+        to: fallbacks[0],
+        stream: true,
+      });
+      recordFallback(cli, fallbacks[0]);
+      return streamCLIEvents(
+        req,
+        res,
+        { ...options, fallbackChain: fallbacks },
+        fallbacks[0],
+        true,
+        createWriter
+      ).catch((error) => writer.fail(error));
+    }
+
+    writer.fail(
+      createCLIError(
+        `Failed to spawn ${command}: ${err.message}`,
+        "spawn_error"
+      )
+    );
+  });
+
+  cliProcess.on("close", (code) => {
+    release();
+    removeWorkspace(workspace);
+    if (spawnFailed) return;
+    recordExecution(
+      cancelled
+        ? "cancelled"
+        : proc.failure
+          ? proc.failure.kind
+          : code === 0
+            ? "success"
+            : "exit_error",
+      code
+    );
+    if (code === 0 && resultEvent) {
+      recordUsage(cli, options.model || getDefaultModel(cli), resultEvent);
+    }
+    parser.flush();
+    if (proc.failure) return writer.fail(proc.failure);
+    if (terminatingChildren && code !== 0) {
+      return writer.fail(createShutdownError("Interrupted by server shutdown"));
+    }
+    if (code !== 0) {
+      return writer.fail(
+        createCLIError(
+          `${command} exited with code ${code}`,
+          "exit_error",
+          proc.stderr
+        )
+      );
+    }
+    writer.end();
+  });
+
+  // Handle client disconnect
+  res.on("close", () => {
+    if (!res.writableFinished) {
+      cancelled = true;
+      proc.stop();
+    }
+  });
+}
+
+/**
+ * Create a stream writer for /api/stream that emits one JSON event per
+ * line: the unified start/text/tool_call/done events, or the CLI's own
+ * events when raw output was requested
+ */
+function createNDJSONStreamWriter(res, cli, options) {
+  const normalize = options.raw
+    ? null
+    : createStreamNormalizer(cli, options.model || getDefaultModel(cli));
+
+  const write = (event) => {
+    if (!res.headersSent) {
+      res.setHeader("Content-Type", "application/x-ndjson");
+      res.setHeader("Transfer-Encoding", "chunked");
+      res.setHeader("Cache-Control", "no-cache");
+      res.setHeader("X-Accel-Buffering", "no");
+    }
+    res.write(JSON.stringify(event) + "\n");
+  };
+
+  return {
+    event(event) {
+      if (!normalize) return write(event);
+      for (const normalized of normalize(event)) write(normalized);
+    },
+    end() {
+      if (!res.headersSent) {
+        res.setHeader("Content-Type", "application/x-ndjson");
+      }
+      res.end();
+    },
+    // Until something was streamed the error can still set the status.
+    // Raw streams pass CLI events through, so their error has no type.
+    fail(error) {
+      if (!res.headersSent) {
+        return sendError(res, error, "Failed to stream");
+      }
+      const { type, ...event } = toErrorEvent(error);
+      write(normalize ? { type, ...event } : event);
+      res.end();
+    },
+  };
+}
+
+/**
+ * Build the /api/process response body from an executeAICLI result
+ */
+function buildProcessResponse(body, result) {
+  const response = {
+    success: true,
+    data: body.raw
+      ? parseOutput(result.stdout, body.outputFormat || "json")
+      : normalizeResponse(result, body),
+    metadata: {
+      model: body.model || getDefaultModel(result.usedCLI),
+      outputFormat: body.outputFormat || "json",
+      timestamp: new Date().toISOString(),
+      usedCLI: result.usedCLI,
+      fallbackUsed: result.fallbackUsed || false,
+      cache: result.cache || "bypass",
+    },
+    files: result.files || [],
+  };
+
+  if (body.responseSchema) {
+    response.structuredOutput = result.structuredOutput;
+    response.metadata.schemaAttempts = result.schemaAttempts;
+  }
+  return response;
+}
+
+/**
+ * Validate a batch request payload
+ * @returns {string|null} Error message, or null if the batch is valid
+ */
+function validateBatchRequest(body) {
+  const { prompts, concurrency, ...commonOptions } = body;
+
+  if (!prompts || !Array.isArray(prompts) || prompts.length === 0) {
+    return "prompts array is required";
+  }
+
+  if (prompts.length > CONFIG.BATCH_MAX_PROMPTS) {
+    return `Maximum ${CONFIG.BATCH_MAX_PROMPTS} prompts per batch`;
+  }
+
+  if (
+    concurrency !== undefined &&
+    (!Number.isInteger(concurrency) || concurrency < 1)
+  ) {
+    return "concurrency must be a positive integer";
+  }
+
+  if (body.raw !== undefined && typeof body.raw !== "boolean") {
+    return "raw must be a boolean";
+  }
+
+  if (body.responseSchema !== undefined) {
+    return RESPONSE_SCHEMA_UNSUPPORTED;
+  }
+
+  // Policy violations are reported separately by checkBatchPolicy
+  for (let i = 0; i < prompts.length; i++) {
+    const errors = validateRequest(
+      getBatchItemOptions(commonOptions, prompts[i])
+    ).filter((error) => typeof error === "string");
+    if (errors.length > 0) {
+      return `prompts[${i}]: ${errors.join("; ")}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Merge a batch prompt (a string or an object with overrides) with the
+ * batch's common options
+ */
+function getBatchItemOptions(commonOptions, item) {
+  const prompt =
+    typeof item === "string"
+      ? { prompt: item }
+      : item && typeof item === "object"
+        ? item
+        : {};
+  return {
+    ...commonOptions,
+    prompt: prompt.prompt,
+    model: prompt.model || commonOptions.model,
+    systemPrompt: prompt.systemPrompt || commonOptions.systemPrompt,
+    cli: prompt.cli || commonOptions.cli,
+    cache: prompt.cache === false ? false : commonOptions.cache,
+  };
+}
+
+/**
+ * Run the prompts of a batch, up to `concurrency` at a time.
+ * With `failFast`, the first failure cancels running prompts and skips the
+ * ones not yet started.
+ * @param {Object} body - /api/batch request body
+ * @param {AbortSignal} [signal] - Stops the batch when aborted
+ * @param {Function} [onResult] - Called with each result as it completes
+ * @returns {Promise<Object>} The /api/batch response body
+ */
+async function runBatch(body, signal, onResult) {
+  const { prompts, concurrency = 1, failFast = false, ...commonOptions } = body;
+  const limit = Math.min(concurrency, CONFIG.BATCH_MAX_CONCURRENCY);
+  const outcomes = new Array(prompts.length);
+  const controller = new AbortController();
+  let failed = false;
+  let nextIndex = 0;
+
+  const abort = () => controller.abort();
+  if (signal) {
+    signal.addEventListener("abort", abort, { once: true });
+  }
+
+  const record = (outcome) => {
+    outcomes[outcome.index] = outcome;
+    if (onResult) onResult(outcome);
+  };
+
+  const runPrompt = async (i) => {
+    try {
+      const options = getBatchItemOptions(commonOptions, prompts[i]);
+      const result = await executeAICLIWithCache({
+        ...options,
+        signal: controller.signal,
+      });
+
+      const data = commonOptions.raw
+        ? parseOutput(result.stdout, commonOptions.outputFormat || "json")
+        : normalizeResponse(result, {
+            outputFormat: commonOptions.outputFormat,
+            model: options.model,
+          });
+      record({
+        index: i,
+        success: true,
+        data,
+        usedCLI: result.usedCLI,
+        fallbackUsed: result.fallbackUsed || false,
+        cache: result.cache,
+        files: result.files || [],
+      });
+    } catch (error) {
+      if (failed && controller.signal.aborted) {
+        record({
+          index: i,
+          success: false,
+          skipped: true,
+          error: "Cancelled after an earlier failure",
+        });
+        return;
+      }
+
+      const { message, code, retryable } = describeError(error);
+      record({ index: i, success: false, error: message, code, retryable });
+
+      if (failFast && !failed) {
+        failed = true;
+        controller.abort();
+      }
+    }
+  };
+
+  const worker = async () => {
+    while (nextIndex < prompts.length) {
+      const i = nextIndex++;
+      if (controller.signal.aborted) {
+        if (failed) {
+          record({
+            index: i,
+            success: false,
+            skipped: true,
+            error: "Skipped after an earlier failure",
+          });
+        }
+        continue;
+      }
+      await runPrompt(i);
+    }
+  };
+
+  try {
+    await Promise.all(
+      Array.from({ length: Math.min(limit, prompts.length) }, worker)
+    );
+  } finally {
+    if (signal) signal.removeEventListener("abort", abort);
+  }
+
+  if (signal && signal.aborted) {
+    throw createCancelledError();
+  }
+
+  const results = outcomes.filter((outcome) => outcome.success);
+  const errors = outcomes.filter((outcome) => !outcome.success);
+
+  return {
+    success: errors.length === 0,
+    results,
+    errors: errors.length > 0 ? errors : undefined,
+    summary: {
+      total: prompts.length,
+      successful: results.length,
+      failed: errors.filter((outcome) => !outcome.skipped).length,
+      skipped: errors.filter((outcome) => outcome.skipped).length,
+    },
+  };
+}
+
+/**
+ * Validate callback options
+ */
+function validateCallback(body) {
+  const errors = [];
+  let url;
+
+  try {
+    url = new URL(body.callbackUrl);
+  } catch (e) {
+    errors.push("callbackUrl must be a valid URL");
+    return errors;
+  }
+
+  if (!["http:", "https:"].includes(url.protocol)) {
+    errors.push("callbackUrl must use http or https");
+  }
+  if (body.callbackSecret && typeof body.callbackSecret !== "string") {
+    errors.push("callbackSecret must be a string");
+  }
+
+  return errors;
+}
+
+/**
+ * Atomically write JSON data to a file, creating its directory if needed
+ */
+function writeJSONFile(filePath, data) {
+  const file = path.resolve(filePath);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(data, null, 2));
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+/**
+ * Read JSON data from a file
+ * @param {*} fallback - Returned when the file does not exist
+ */
+function readJSONFile(filePath, fallback) {
+  const file = path.resolve(filePath);
+  if (!fs.existsSync(file)) return fallback;
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+// Only /api/process and its jobs validate answers against a schema
+const RESPONSE_SCHEMA_UNSUPPORTED =
+  "responseSchema is only supported by /api/process";
+
+/**
+ * Validate request payload
+ */
+function validateRequest(body) {
+  const errors = [];
+
+  if (!body.prompt) {
+    errors.push("prompt is required");
+  } else if (typeof body.prompt !== "string") {
+    errors.push("prompt must be a string");
+  }
+
+  if (body.prompt && body.prompt.length > CONFIG.MAX_PROMPT_LENGTH) {
+    errors.push(
+      `prompt exceeds maximum length of ${CONFIG.MAX_PROMPT_LENGTH} characters`
+    );
+  }
+
+  if (
+    body.outputFormat &&
+    !["text", "json", "stream-json"].includes(body.outputFormat)
+  ) {
+    errors.push("outputFormat must be one of: text, json, stream-json");
+  }
+
+  if (body.files !== undefined) {
+    errors.push(...validateFiles(body.files));
+  }
+
+  if (body.attachments !== undefined) {
+    errors.push(...validateAttachments(body.attachments));
+  }
+
+  if (body.cache !== undefined && typeof body.cache !== "boolean") {
+    errors.push("cache must be a boolean");
+  }
+
+  if (body.raw !== undefined && typeof body.raw !== "boolean") {
+    errors.push("raw must be a boolean");
+  }
+
+  // 0, negative or non-numeric values would turn the wall-clock limit off
+  if (
+    body.timeout !== undefined &&
+    (!Number.isInteger(body.timeout) || body.timeout < 1)
+  ) {
+    errors.push("timeout must be a positive integer (ms)");
+  }
+
+  errors.push(...validateRouting(body));
+
+  if (body.responseSchema !== undefined) {
+    if (
+      !body.responseSchema ||
+      typeof body.responseSchema !== "object" ||
+      Array.isArray(body.responseSchema)
+    ) {
+      errors.push("responseSchema must be a JSON Schema object");
+    } else {
+      try {
+        compileResponseSchema(body.responseSchema);
+      } catch (error) {
+        errors.push(`responseSchema is invalid: ${error.message}`);
+      }
+    }
+  }
+
+  errors.push(...checkPolicy(body));
+
+  return errors;
+}
+
+/**
+ * Validate the provider options of a request: cli, fallbackChain and
+ * fallbackOn
+ * @returns {string[]} Error messages
+ */
+function validateRouting(body) {
+  const errors = [];
+
+  if (body.cli !== undefined && !providers.has(body.cli)) {
+    errors.push(`cli must be one of: ${[...providers.keys()].join(", ")}`);
+  }
+
+  if (body.fallbackChain !== undefined) {
+    const error = validateChain(body.fallbackChain);
+    if (error) errors.push(`fallbackChain ${error}`);
+  }
+
+  if (
+    body.fallbackOn !== undefined &&
+    (!Array.isArray(body.fallbackOn) ||
+      body.fallbackOn.some((kind) => !FAILURE_KINDS.includes(kind)))
+  ) {
+    errors.push(`fallbackOn must be an array of: ${FAILURE_KINDS.join(", ")}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Send validation errors: 403 with structured violations when any policy
+ * or API key scope rule was broken, 400 otherwise
+ */
+function sendValidationErrors(res, errors) {
+  const error = createValidationError(errors);
+  if (error.code === "invalid_request") {
+    return sendError(res, error, "Invalid request", { errors });
+  }
+  sendError(
+    res,
+    error,
+    error.code === "forbidden" ? "Forbidden" : "Policy violation",
+    { violations: errors.filter((error) => typeof error === "object") }
+  );
+}
+
+/**
+ * Build the error for a list of validation errors. Violations (objects with
+ * their own code, like policy_violation) take precedence over plain messages.
+ */
+function createValidationError(errors) {
+  const violations = errors.filter((error) => typeof error === "object");
+  if (violations.length > 0) {
+    return createAPIError(
+      violations[0].code,
+      violations.map((violation) => violation.message).join("; ")
+    );
+  }
+  return createAPIError("invalid_request", errors.join("; "));
+}
+
+/**
+ * Flatten validation errors into a status code and a single message, for
+ * the compatibility endpoints that have their own error shapes
+ */
+function summarizeValidationErrors(errors) {
+  const isPolicy = errors.some((error) => typeof error === "object");
+  return {
+    status: isPolicy ? 403 : 400,
+    message: errors
+      .map((error) => (typeof error === "object" ? error.message : error))
+      .join("; "),
+  };
+}
+
+// ===========================
+// PROVIDERS
+// ===========================
+
+// Failure kinds that can trigger retries and fallback (FALLBACK_ON)
+const FAILURE_KINDS = [
+  "spawn_error",
+  "timeout",
+  "idle_timeout",
+  "exit_error",
+  "output_limit",
+  "rate_limit",
+  "busy",
+];
+
+// Failures that may go away when the same provider is tried again
+const RETRYABLE_KINDS = ["exit_error", "rate_limit"];
+
+// stderr text that turns a non-zero exit into a rate_limit failure
+const RATE_LIMIT_PATTERN =
+  /rate[ _-]?limit|usage limit|quota|too many requests|resource[ _]exhausted|overloaded|\b429\b/i;
+
+/**
+ * Registered CLI backends. A provider has the `command` it runs, a
+ * `defaultModel`, an `execute(options)` function resolving to
+ * { stdout, stderr }, `streaming: true` when it emits stream-json
+ * (needed by /api/stream and the compatibility endpoints), and the
+ * `fileReferencePrefix` its prompts use to include a file (see
+ * addAttachmentReferences).
+ */
+const providers = new Map([
+  [
+    "claude",
+    {
+      name: "claude",
+      command: "claude",
+      defaultModel: CONFIG.CLAUDE_DEFAULT_MODEL,
+      streaming: true,
+      fileReferencePrefix: "@",
+      execute: executeClaudeCode,
+    },
+  ],
+  [
+    "gemini",
+    {
+      name: "gemini",
+      command: "gemini",
+      defaultModel: CONFIG.GEMINI_DEFAULT_MODEL,
+      streaming: true,
+      fileReferencePrefix: "@",
+      execute: executeGeminiCLI,
+    },
+  ],
+]);
+
+// Fallback chains per route path, from PROVIDERS_FILE
+let routeChains = {};
+
+// Error codes (see ERROR_CODES) for each failure kind
+const KIND_ERROR_CODES = {
+  spawn_error: "cli_unavailable",
+  timeout: "timeout",
+  idle_timeout: "idle_timeout",
+  exit_error: "cli_error",
+  output_limit: "output_limit",
+  rate_limit: "rate_limited",
+};
+
+// Known failures recognised in a CLI's stderr or JSON output, checked in
+// order, with the reason added to the error message
+const CLI_ERROR_PATTERNS = [
+  {
+    code: "rate_limited",
+    pattern: RATE_LIMIT_PATTERN,
+    reason: "usage or rate limit reached",
+  },
+  {
+    code: "cli_auth_failed",
+    pattern:
+      /authentication_error|invalid (x-)?api[ _-]?key|api key not valid|unauthori[sz]ed|\b401\b|\/login|not logged in|auth method|oauth token/i,
+    reason: "the CLI is not authenticated",
+  },
+  {
+    code: "invalid_model",
+    pattern:
+      /(invalid|unknown|unsupported) model|model\b[^\n]*\bnot (found|supported|available)|not_found_error[^\n]*model/i,
+    reason: "the model is not available",
+  },
+  {
+    code: "prompt_too_long",
+    pattern:
+      /prompt is too long|input is too long|too many (input )?tokens|context (length|window)|maximum context/i,
+    reason: "the prompt is too long for the model",
+  },
+];
+
+/**
+ * Build an error for a failed CLI run, tagged with its failure kind (for
+ * fallback and retries) and an error code (for the client). Non-zero exits
+ * are classified from the CLI's output; those that mention rate limits also
+ * become kind "rate_limit". The output itself is kept in error.detail,
+ * which clients only see with DEBUG_ERRORS.
+ * @param {string} message - Shown to the client, so no CLI output
+ * @param {string} kind - Failure kind (see FAILURE_KINDS)
+ * @param {string} [output] - The CLI's stderr and stdout
+ */
+function createCLIError(message, kind, output = "") {
+  const match =
+    kind === "exit_error" &&
+    CLI_ERROR_PATTERNS.find(({ pattern }) => pattern.test(output));
+
+  const error = new Error(match ? `${message}: ${match.reason}` : message);
+  error.code = match ? match.code : KIND_ERROR_CODES[kind];
+  error.kind = error.code === "rate_limited" ? "rate_limit" : kind;
+  error.status = ERROR_CODES[error.code].status;
+  if (output.trim()) error.detail = output.trim();
+  return error;
+}
+
+/**
+ * Execute a command provider defined in PROVIDERS_FILE. `{model}` in its
+ * arguments is replaced with the model, and the prompt (with any system
+ * prompt in front) goes to stdin or is passed as the last argument.
+ */
+function executeCommandProvider(provider, options) {
+  const model = options.model || provider.defaultModel || "";
+
+  const prompt = prependSystemPrompt(options.prompt, options);
+
+  const args = provider.args.map((arg) => arg.replace(/\{model\}/g, model));
+  const useStdin = provider.promptInput === "stdin";
+  if (!useStdin) args.push(prompt);
+
+  logger.info("Executing CLI", {
+    cli: provider.name,
+    model,
+    args: redactArgs(args, !useStdin),
+  });
+
+  return runProcess({
+    cli: provider.name,
+    label: provider.name,
+    command: provider.command,
+    args,
+    model,
+    input: useStdin ? prompt : undefined,
+    cwd: options.cwd,
+    signal: options.signal,
+    timeout: options.timeout,
+  });
+}
+
+/**
+ * Validate a command provider definition from PROVIDERS_FILE
+ * @returns {string|null} Error message, or null if the definition is valid
+ */
+function validateProviderDefinition(name, definition) {
+  if (!/^[a-z][\w-]*$/.test(name)) {
+    return "provider names must start with a letter and contain only letters, digits, '_' and '-'";
+  }
+  if (providers.has(name)) {
+    return `${name} is already registered`;
+  }
+  if (!definition || typeof definition.command !== "string") {
+    return "command is required";
+  }
+  if (
+    definition.args !== undefined &&
+    (!Array.isArray(definition.args) ||
+      definition.args.some((arg) => typeof arg !== "string"))
+  ) {
+    return "args must be an array of strings";
+  }
+  if (
+    definition.versionArgs !== undefined &&
+    (!Array.isArray(definition.versionArgs) ||
+      definition.versionArgs.some((arg) => typeof arg !== "string"))
+  ) {
+    return "versionArgs must be an array of strings";
+  }
+  if (
+    definition.promptInput !== undefined &&
+    !["arg", "stdin"].includes(definition.promptInput)
+  ) {
+    return "promptInput must be 'arg' or 'stdin'";
+  }
+  if (
+    definition.maxConcurrency !== undefined &&
+    (!Number.isInteger(definition.maxConcurrency) ||
+      definition.maxConcurrency < 1)
+  ) {
+    return "maxConcurrency must be a positive integer";
+  }
+  if (
+    definition.fileReferencePrefix !== undefined &&
+    typeof definition.fileReferencePrefix !== "string"
+  ) {
+    return "fileReferencePrefix must be a string";
+  }
+  return null;
+}
+
+/**
+ * Register a command provider and give it its own process pool
+ */
+function registerProvider(name, definition) {
+  const provider = {
+    name,
+    command: definition.command,
+    args: definition.args || [],
+    promptInput: definition.promptInput || "arg",
+    versionArgs: definition.versionArgs,
+    defaultModel: definition.defaultModel || null,
+    streaming: false,
+    fileReferencePrefix: definition.fileReferencePrefix || "",
+  };
+  provider.execute = (options) => executeCommandProvider(provider, options);
+
+  providers.set(name, provider);
+  processPools[name] = createProcessPool(name, definition.maxConcurrency || 4);
+}
+
+/**
+ * Check that every name in a fallback chain is a registered provider
+ * @returns {string|null} Error message, or null if the chain is valid
+ */
+function validateChain(chain) {
+  if (
+    !Array.isArray(chain) ||
+    chain.length === 0 ||
+    chain.some((cli) => typeof cli !== "string")
+  ) {
+    return "must be a non-empty array of provider names";
+  }
+  const unknown = chain.find((cli) => !providers.has(cli));
+  return unknown ? `unknown provider ${unknown}` : null;
+}
+
+/**
+ * Register the command providers and route chains from PROVIDERS_FILE and
+ * check FALLBACK_CHAIN and FALLBACK_ON. Like the policy file, a bad
+ * configuration stops the server.
+ */
+function loadProviders() {
+  const fail = (message, fields) => {
+    logger.error(message, fields);
+    process.exit(1);
+  };
+
+  if (CONFIG.PROVIDERS_FILE) {
+    let config;
+    try {
+      config = readJSONFile(CONFIG.PROVIDERS_FILE, null);
+    } catch (error) {
+      fail("Invalid providers file", { error: error.message });
+    }
+    if (!config) {
+      fail("Providers file not found", { file: CONFIG.PROVIDERS_FILE });
+    }
+
+    for (const [name, definition] of Object.entries(config.providers || {})) {
+      const error = validateProviderDefinition(name, definition);
+      if (error) fail("Invalid provider", { provider: name, error });
+      registerProvider(name, definition);
+    }
+
+    for (const [route, chain] of Object.entries(config.routes || {})) {
+      const error = validateChain(chain);
+      if (error) fail("Invalid route fallback chain", { route, error });
+    }
+    routeChains = config.routes || {};
+
+    logger.info("Loaded providers", {
+      file: CONFIG.PROVIDERS_FILE,
+      providers: [...providers.keys()],
+      routes: Object.keys(routeChains),
+    });
+  }
+
+  if (CONFIG.FALLBACK_CHAIN) {
+    const error = validateChain(CONFIG.FALLBACK_CHAIN);
+    if (error) fail("Invalid FALLBACK_CHAIN", { error });
+  }
+  const unknownKind = CONFIG.FALLBACK_ON.find(
+    (kind) => !FAILURE_KINDS.includes(kind)
+  );
+  if (unknownKind) {
+    fail("Invalid FALLBACK_ON", {
+      error: `unknown failure kind ${unknownKind}`,
+    });
+  }
+}
+
+/**
+ * Work out the providers to try, in order: the request's fallbackChain,
+ * the chain configured for the current route, or FALLBACK_CHAIN (by
+ * default DEFAULT_CLI and then the other built-in CLI). The requested CLI
+ * always goes first; API keys limited to some CLIs skip the others.
+ * @returns {string[]} Provider names
+ */
+function resolveProviderChain(options, preferredCLI = null) {
+  const context = requestContext.getStore() || {};
+  let chain = options.fallbackChain ||
+    routeChains[context.route] ||
+    CONFIG.FALLBACK_CHAIN || [
+      CONFIG.DEFAULT_CLI,
+      CONFIG.DEFAULT_CLI === "gemini" ? "claude" : "gemini",
+    ];
+
+  const primary = preferredCLI || options.cli;
+  if (primary) {
+    chain = [primary, ...chain.filter((cli) => cli !== primary)];
+  }
+  if (options.allowedCLIs) {
+    chain = chain.filter((cli) => options.allowedCLIs.includes(cli));
+    if (chain.length === 0) chain = [options.allowedCLIs[0]];
+  }
+  if (!CONFIG.ENABLE_FALLBACK || options.disableFallback) {
+    chain = chain.slice(0, 1);
+  }
+  return chain;
+}
+
+/**
+ * The provider a request runs on first: its cli, or the first provider of
+ * its chain that the API key may use
+ */
+function getRequestCLI(options) {
+  return resolveProviderChain(options)[0];
+}
+
+/**
+ * Whether a failure should move the request on to the next provider
+ */
+function shouldFallback(error, options) {
+  return (options.fallbackOn || CONFIG.FALLBACK_ON).includes(error.kind);
+}
+
+/**
+ * Run a provider, retrying exit_error and rate_limit failures (when they
+ * are fallback triggers) up to RETRY_MAX times with exponential backoff.
+ * Every attempt counts for the provider's circuit breaker, and retries stop
+ * once the breaker opens.
+ */
+async function runWithRetries(cli, options) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const result = await runCLI(cli, options);
+      recordBreakerSuccess(cli);
+      return result;
+    } catch (error) {
+      const aborted = options.signal && options.signal.aborted;
+      recordBreakerFailure(cli, aborted ? null : error);
+      if (
+        aborted ||
+        shuttingDown ||
+        getBreaker(cli).state === "open" ||
+        attempt >= CONFIG.RETRY_MAX ||
+        !RETRYABLE_KINDS.includes(error.kind) ||
+        !describeError(error).retryable ||
+        !shouldFallback(error, options)
+      ) {
+        throw error;
+      }
+
+      const delay = CONFIG.RETRY_BASE_DELAY * 2 ** attempt;
+      logger.warn("Retrying CLI", {
+        cli,
+        attempt: attempt + 1,
+        delayMs: delay,
+        reason: error.kind,
+      });
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Providers left to try, in order, when a streaming CLI fails to spawn.
+ * Only providers that can stream are included.
+ * @returns {string[]}
+ */
+function getStreamFallbacks(cli, options) {
+  if (!(options.fallbackOn || CONFIG.FALLBACK_ON).includes("spawn_error")) {
+    return [];
+  }
+  return resolveProviderChain(options, cli)
+    .slice(1)
+    .filter((name) => providers.get(name).streaming);
+}
+
+// ===========================
+// CIRCUIT BREAKERS
+// ===========================
+
+// Failure kinds that count towards opening a breaker. "busy" is left out:
+// a full pool says nothing about the provider itself.
+const BREAKER_FAILURE_KINDS = [
+  "spawn_error",
+  "timeout",
+  "idle_timeout",
+  "exit_error",
+  "rate_limit",
+];
+
+// One breaker per provider, created on first use
+const circuitBreakers = new Map();
+
+/**
+ * Get the breaker for a provider
+ */
+function getBreaker(cli) {
+  if (!circuitBreakers.has(cli)) {
+    circuitBreakers.set(cli, {
+      state: "closed",
+      failures: 0,
+      openedAt: null,
+      probing: false,
+      lastError: null,
+    });
+  }
+  return circuitBreakers.get(cli);
+}
+
+/**
+ * Whether a request may be sent to a provider. Once BREAKER_COOLDOWN has
+ * passed, an open breaker turns half-open and lets a single probe through;
+ * other requests keep skipping the provider until the probe finishes.
+ */
+function canAttempt(cli) {
+  if (!CONFIG.BREAKER_ENABLED) return true;
+
+  const breaker = getBreaker(cli);
+  if (breaker.state === "closed") return true;
+
+  if (
+    breaker.state === "open" &&
+    Date.now() - breaker.openedAt >= CONFIG.BREAKER_COOLDOWN
+  ) {
+    breaker.state = "half_open";
+    logger.info("Circuit half-open", { cli });
+  }
+  if (breaker.state === "half_open" && !breaker.probing) {
+    breaker.probing = true;
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Close the breaker after a successful run
+ */
+function recordBreakerSuccess(cli) {
+  const breaker = getBreaker(cli);
+  if (breaker.state !== "closed") {
+    logger.info("Circuit closed", { cli });
+  }
+  Object.assign(breaker, {
+    state: "closed",
+    failures: 0,
+    openedAt: null,
+    probing: false,
+  });
+}
+
+/**
+ * Whether a failed run says something about the provider's health. Exits
+ * the request caused itself (an unknown model, a prompt that is too long)
+ * are client errors and don't count; an unauthenticated CLI does, since it
+ * fails every request.
+ */
+function isProviderFailure(error) {
+  if (!BREAKER_FAILURE_KINDS.includes(error.kind)) return false;
+  const { status, retryable } = describeError(error);
+  return retryable || status >= 500 || error.code === "cli_auth_failed";
+}
+
+/**
+ * Count a failed run. The breaker opens after BREAKER_FAILURE_THRESHOLD
+ * consecutive provider failures (usage-limit messages included), or when a
+ * half-open probe fails.
+ * @param {Error|null} error - null for runs that were cancelled
+ */
+function recordBreakerFailure(cli, error) {
+  const breaker = getBreaker(cli);
+  breaker.probing = false;
+  if (!error || !isProviderFailure(error)) return;
+
+  breaker.failures++;
+  breaker.lastError = error.message;
+
+  if (
+    breaker.state === "half_open" ||
+    (breaker.state === "closed" &&
+      breaker.failures >= CONFIG.BREAKER_FAILURE_THRESHOLD)
+  ) {
+    logger.warn("Circuit opened", {
+      cli,
+      failures: breaker.failures,
+      reason: error.kind,
+    });
+    breaker.state = "open";
+    breaker.openedAt = Date.now();
+  }
+}
+
+/**
+ * Error for a provider skipped because its breaker is open
+ */
+function createCircuitOpenError(cli) {
+  const breaker = getBreaker(cli);
+  const remaining = CONFIG.BREAKER_COOLDOWN - (Date.now() - breaker.openedAt);
+  const error = createAPIError(
+    "circuit_open",
+    `Circuit open for ${cli}: ${breaker.lastError}`
+  );
+  error.kind = "circuit_open";
+  error.retryAfter = Math.max(1, Math.ceil(remaining / 1000));
+  return error;
+}
+
+/**
+ * Reset a provider's breaker to closed
+ */
+function resetBreaker(cli) {
+  circuitBreakers.delete(cli);
+  logger.info("Circuit reset", { cli });
+}
+
+/**
+ * Breaker state per provider, for /api/info
+ */
+function getBreakerStates() {
+  const states = {};
+  for (const cli of providers.keys()) {
+    const breaker = getBreaker(cli);
+    states[cli] = {
+      state: breaker.state,
+      consecutiveFailures: breaker.failures,
+      openedAt: breaker.openedAt
+        ? new Date(breaker.openedAt).toISOString()
+        : null,
+      retryAt:
+        breaker.state === "open"
+          ? new Date(breaker.openedAt + CONFIG.BREAKER_COOLDOWN).toISOString()
+          : null,
+      lastError: breaker.lastError,
+    };
+  }
+  return states;
+}
+
+// ===========================
+// RESPONSE ADAPTERS
+// ===========================
+
+// Claude result subtypes mapped to stop reasons
+const CLAUDE_STOP_REASONS = {
+  success: "end_turn",
+  error_max_turns: "max_turns",
+  error_during_execution: "error",
+};
+
+/**
+ * Per-CLI adapters that translate CLI output into the unified response
+ * format: { text, sessionId, usage, stopReason, toolCalls, cli, model,
+ * durationMs }. normalizeResult handles a parsed `--output-format json`
+ * result (or a stream-json result event); normalizeStreamEvent turns one
+ * stream-json event into zero or more unified stream events.
+ */
+const cliAdapters = {
+  claude: {
+    normalizeResult(parsed) {
+      return {
+        text: extractResultText(parsed, "claude"),
+        sessionId: parsed.session_id || null,
+        stopReason:
+          parsed.stop_reason ||
+          CLAUDE_STOP_REASONS[parsed.subtype] ||
+          parsed.subtype ||
+          null,
+        toolCalls: [],
+      };
+    },
+    normalizeStreamEvent(event, state) {
+      if (event.type === "system" && event.subtype === "init") {
+        return [{ type: "start", sessionId: event.session_id || null }];
+      }
+
+      const text = extractStreamText(event, "claude");
+      if (text) {
+        state.sawDelta = true;
+        return [{ type: "text", text }];
+      }
+
+      if (event.type === "assistant" && event.message) {
+        const events = [];
+        for (const block of event.message.content || []) {
+          if (block.type === "tool_use") {
+            events.push({
+              type: "tool_call",
+              id: block.id,
+              name: block.name,
+              input: block.input,
+            });
+          } else if (block.type === "text" && !state.sawDelta) {
+            // Without --include-partial-messages the text only arrives here
+            events.push({ type: "text", text: block.text });
+          }
+        }
+        return events;
+      }
+      return [];
+    },
+  },
+  gemini: {
+    normalizeResult(parsed) {
+      const toolCalls = [];
+      const byName =
+        (parsed.stats && parsed.stats.tools && parsed.stats.tools.byName) || {};
+      for (const [name, stats] of Object.entries(byName)) {
+        for (let i = 0; i < (stats.count || 0); i++) {
+          toolCalls.push({ id: null, name, input: null });
+        }
+      }
+
+      return {
+        text: extractResultText(parsed, "gemini"),
+        sessionId: parsed.session_id || null,
+        stopReason:
+          parsed.error || parsed.status === "error" ? "error" : "end_turn",
+        toolCalls,
+      };
+    },
+    normalizeStreamEvent(event) {
+      if (event.type === "init") {
+        return [{ type: "start", sessionId: event.session_id || null }];
+      }
+
+      const text = extractStreamText(event, "gemini");
+      if (text) {
+        return [{ type: "text", text }];
+      }
+
+      if (event.type === "tool_use") {
+        return [
+          {
+            type: "tool_call",
+            id: event.tool_id || null,
+            name: event.tool_name,
+            input: event.parameters || null,
+          },
+        ];
+      }
+      return [];
+    },
+  },
+};
+
+/**
+ * Create a stateful normalizer for a stream-json run. Each call returns the
+ * unified events for one CLI event; the CLI's result event becomes a `done`
+ * event carrying the full unified response.
+ * @returns {Function} (event) => Array<Object>
+ */
+function createStreamNormalizer(cli, model) {
+  const adapter = cliAdapters[cli];
+  const startedAt = Date.now();
+  const state = { sawDelta: false };
+  const toolCalls = [];
+  let text = "";
+  let sessionId = null;
+
+  return (event) => {
+    if (!event || typeof event !== "object") return [];
+
+    if (event.type === "result") {
+      const result = adapter.normalizeResult(event);
+      return [
+        {
+          type: "done",
+          text: result.text || text,
+          sessionId: result.sessionId || sessionId,
+          usage: extractUsage(event, cli),
+          stopReason: result.stopReason,
+          toolCalls: toolCalls.length > 0 ? toolCalls : result.toolCalls,
+          cli,
+          model,
+          durationMs: Date.now() - startedAt,
+        },
+      ];
+    }
+
+    const events = adapter.normalizeStreamEvent(event, state);
+    for (const normalized of events) {
+      if (normalized.type === "start") {
+        sessionId = normalized.sessionId;
+        Object.assign(normalized, { cli, model });
+      } else if (normalized.type === "text") {
+        text += normalized.text;
+      } else if (normalized.type === "tool_call") {
+        toolCalls.push({
+          id: normalized.id,
+          name: normalized.name,
+          input: normalized.input,
+        });
+      }
+    }
+    return events;
+  };
+}
+
+/**
+ * Build the unified response for a finished CLI run
+ * @param {Object} result - Result from executeAICLI
+ * @param {Object} options - Request options (outputFormat, model)
+ */
+function normalizeResponse(result, options) {
+  const cli = result.usedCLI;
+  const model = options.model || getDefaultModel(cli);
+  const outputFormat = options.outputFormat || "json";
+
+  if (outputFormat === "stream-json") {
+    const normalize = createStreamNormalizer(cli, model);
+    let done = null;
+    createLineParser((line) => {
+      try {
+        for (const event of normalize(JSON.parse(line))) {
+          if (event.type === "done") done = event;
+        }
+      } catch (e) {
+        // Skip lines that are not JSON events
+      }
+    }).push(result.stdout + "\n");
+
+    if (done) {
+      const { type, ...response } = done;
+      return { ...response, durationMs: result.durationMs ?? null };
+    }
+  }
+
+  const parsed = parseOutput(result.stdout, outputFormat);
+  // Command providers have no adapter; their output is plain text
+  const normalized =
+    outputFormat === "json" && !parsed.raw && cliAdapters[cli]
+      ? cliAdapters[cli].normalizeResult(parsed)
+      : {
+          text: result.stdout.trim(),
+          sessionId: null,
+          stopReason: null,
+          toolCalls: [],
+        };
+
+  return {
+    text: normalized.text,
+    sessionId: normalized.sessionId,
+    usage: extractUsage(parsed, cli),
+    stopReason: normalized.stopReason,
+    toolCalls: normalized.toolCalls,
+    cli,
+    model,
+    durationMs: result.durationMs ?? null,
+  };
+}
+
+// ===========================
+// WORKSPACES
+// ===========================
+
+/**
+ * Decode uploaded files from a request into buffers
+ * @param {Array<{path: string, content: string, encoding?: string}>} files
+ * @returns {Array<{path: string, data: Buffer}>}
+ */
+function decodeUploadedFiles(files = []) {
+  return files.map((file) => ({
+    path: file.path,
+    data: Buffer.from(file.content || "", file.encoding || "base64"),
+  }));
+}
+
+/**
+ * Validate uploaded files
+ */
+function validateFiles(files) {
+  const errors = [];
+
+  if (!Array.isArray(files)) {
+    errors.push("files must be an array");
+    return errors;
+  }
+
+  if (files.length > CONFIG.WORKSPACE_MAX_FILES) {
+    errors.push(`Maximum ${CONFIG.WORKSPACE_MAX_FILES} files per request`);
+  }
+
+  const paths = new Set();
+  for (const file of files) {
+    if (!file || typeof file.path !== "string" || !file.path) {
+      errors.push("each file must have a path");
+      continue;
+    }
+    const normalized = path.posix.normalize(file.path.replace(/\\/g, "/"));
+    if (path.posix.isAbsolute(normalized) || normalized.startsWith("..")) {
+      errors.push(`file path ${file.path} must stay inside the workspace`);
+    } else if (normalized === "." || normalized.endsWith("/")) {
+      errors.push(`file path ${file.path} must name a file`);
+    }
+    paths.add(normalized);
+    if (file.encoding && !["base64", "utf8"].includes(file.encoding)) {
+      errors.push(`file ${file.path} encoding must be base64 or utf8`);
+    }
+    if (typeof file.content !== "string") {
+      errors.push(`file ${file.path} content must be a string`);
+    } else if (
+      Buffer.byteLength(file.content, file.encoding || "base64") >
+      CONFIG.WORKSPACE_MAX_FILE_SIZE
+    ) {
+      errors.push(
+        `file ${file.path} exceeds ${CONFIG.WORKSPACE_MAX_FILE_SIZE} bytes`
+      );
+    }
+  }
+
+  // A file can't also be a directory of another file
+  for (const filePath of paths) {
+    let parent = path.posix.dirname(filePath);
+    while (parent !== ".") {
+      if (paths.has(parent)) {
+        errors.push(`file path ${parent} conflicts with ${filePath}`);
+        break;
+      }
+      parent = path.posix.dirname(parent);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Check a MIME type against ATTACHMENT_ALLOWED_TYPES, where an entry like
+ * `image/*` allows every subtype
+ */
+function isAttachmentTypeAllowed(mimeType) {
+  const type = mimeType.split(";")[0].trim().toLowerCase();
+  return CONFIG.ATTACHMENT_ALLOWED_TYPES.some((allowed) =>
+    allowed.endsWith("/*")
+      ? type.startsWith(allowed.slice(0, -1))
+      : type === allowed
+  );
+}
+
+/**
+ * Validate image and document attachments
+ */
+function validateAttachments(attachments) {
+  const errors = [];
+
+  if (!Array.isArray(attachments)) {
+    errors.push("attachments must be an array");
+    return errors;
+  }
+
+  if (attachments.length > CONFIG.ATTACHMENT_MAX_FILES) {
+    errors.push(
+      `Maximum ${CONFIG.ATTACHMENT_MAX_FILES} attachments per request`
+    );
+  }
+
+  for (const attachment of attachments) {
+    if (
+      !attachment ||
+      typeof attachment.name !== "string" ||
+      !attachment.name
+    ) {
+      errors.push("each attachment must have a name");
+      continue;
+    }
+    const { name, mimeType, content } = attachment;
+    if (typeof mimeType !== "string" || !mimeType) {
+      errors.push(`attachment ${name} must have a mimeType`);
+    } else if (!isAttachmentTypeAllowed(mimeType)) {
+      errors.push(`attachment ${name} type ${mimeType} is not allowed`);
+    }
+    if (typeof content !== "string" || !content) {
+      errors.push(`attachment ${name} content must be a base64 string`);
+    } else if (
+      Buffer.byteLength(content, "base64") > CONFIG.ATTACHMENT_MAX_SIZE
+    ) {
+      errors.push(
+        `attachment ${name} exceeds ${CONFIG.ATTACHMENT_MAX_SIZE} bytes`
+      );
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Workspace paths of a request's attachments, `attachments/<n>-<name>`,
+ * with the name reduced to characters that need no quoting in a prompt
+ */
+function getAttachmentPaths(attachments = []) {
+  return attachments.map((attachment, i) => {
+    const name = path.posix
+      .basename(attachment.name.replace(/\\/g, "/"))
+      .replace(/[^\w.-]/g, "_");
+    return `attachments/${i + 1}-${name}`;
+  });
+}
+
+/**
+ * Point a prompt at the request's attachments using the provider's file
+ * reference syntax: Claude Code and Gemini CLI read `@path` references
+ * (images and PDFs included) themselves, command providers get the paths
+ * with their configured prefix.
+ * @param {string} prompt - The request's prompt
+ * @param {Array<Object>} [attachments] - The request's attachments
+ * @param {string} cli - Provider that runs the prompt
+ */
+function addAttachmentReferences(prompt, attachments, cli) {
+  if (!attachments || attachments.length === 0) return prompt;
+
+  const prefix = providers.get(cli).fileReferencePrefix;
+  const references = getAttachmentPaths(attachments).map(
+    (file) => `${prefix}${file}`
+  );
+  return `${prompt}\n\nAttached files:\n${references.join("\n")}`;
+}
+
+/**
+ * Hash every file in a directory tree
+ * @returns {Promise<Map<string, string>>} Relative path -> content hash
+ */
+async function snapshotDirectory(root, dir = root, snapshot = new Map()) {
+  const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      await snapshotDirectory(root, fullPath, snapshot);
+    } else if (entry.isFile()) {
+      const data = await fs.promises.readFile(fullPath);
+      snapshot.set(
+        path.relative(root, fullPath).split(path.sep).join("/"),
+        crypto.createHash("sha1").update(data).digest("hex")
+      );
+    }
+  }
+
+  return snapshot;
+}
+
+/**
+ * Create a temporary workspace directory and write uploaded files and
+ * attachments (see getAttachmentPaths) into it
+ * @returns {Promise<{dir: string, snapshot: Map<string, string>}>}
+ */
+async function createWorkspace(files, attachments = []) {
+  await fs.promises.mkdir(CONFIG.WORKSPACE_ROOT, { recursive: true });
+  const dir = await fs.promises.mkdtemp(
+    path.join(CONFIG.WORKSPACE_ROOT, "req-")
+  );
+
+  try {
+    for (const file of decodeUploadedFiles(files)) {
+      const target = path.join(dir, file.path);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.writeFile(target, file.data);
+    }
+
+    const attachmentPaths = getAttachmentPaths(attachments);
+    for (let i = 0; i < attachments.length; i++) {
+      const target = path.join(dir, attachmentPaths[i]);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.writeFile(
+        target,
+        Buffer.from(attachments[i].content, "base64")
+      );
+    }
+
+    return { dir, snapshot: await snapshotDirectory(dir) };
+  } catch (error) {
+    await removeWorkspace({ dir });
+    throw error;
+  }
+}
+
+/**
+ * List files the CLI created, modified or deleted in a workspace.
+ * Text files are returned as utf8, others as base64; files above
+ * WORKSPACE_RETURN_MAX_SIZE are listed without content.
+ */
+async function collectWorkspaceChanges(workspace) {
+  const after = await snapshotDirectory(workspace.dir);
+  const changes = [];
+
+  for (const [filePath, hash] of after) {
+    const before = workspace.snapshot.get(filePath);
+    if (before === hash) continue;
+
+    const data = await fs.promises.readFile(path.join(workspace.dir, filePath));
+    const change = {
+      path: filePath,
+      status: before ? "modified" : "created",
+      size: data.length,
+    };
+
+    if (data.length > CONFIG.WORKSPACE_RETURN_MAX_SIZE) {
+      change.truncated = true;
+    } else if (!data.includes(0) && data.toString("utf8").indexOf("�") === -1) {
+      change.encoding = "utf8";
+      change.content = data.toString("utf8");
+    } else {
+      change.encoding = "base64";
+      change.content = data.toString("base64");
+    }
+
+    changes.push(change);
+  }
+
+  for (const filePath of workspace.snapshot.keys()) {
+    if (!after.has(filePath)) {
+      changes.push({ path: filePath, status: "deleted" });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Delete a workspace directory
+ */
+async function removeWorkspace(workspace) {
+  try {
+    await fs.promises.rm(workspace.dir, { recursive: true, force: true });
+  } catch (error) {
+    logger.error("Failed to remove workspace", { error: error.message });
+  }
+}
+
+/**
+ * Text fields that are never JSON-decoded from multipart bodies
+ */
+const MULTIPART_TEXT_FIELDS = [
+  "prompt",
+  "systemPrompt",
+  "appendSystemPrompt",
+  "model",
+  "cli",
+  "outputFormat",
+  "template",
+  "callbackUrl",
+  "callbackSecret",
+];
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: Math.max(
+      CONFIG.WORKSPACE_MAX_FILE_SIZE,
+      CONFIG.ATTACHMENT_MAX_SIZE
+    ),
+    files: CONFIG.WORKSPACE_MAX_FILES + CONFIG.ATTACHMENT_MAX_FILES,
+  },
+});
+
+/**
+ * Accept multipart/form-data uploads. Uploads in the `files` and
+ * `attachments` fields are converted to the same base64 entries the JSON
+ * body uses, and other fields holding JSON (arrays, objects, booleans,
+ * numbers) are decoded. Runs after maybeAuth, so nothing is buffered for
+ * unauthenticated requests; expandTemplates applies API key scopes to the
+ * decoded fields.
+ */
+const parseUploads = (req, res, next) => {
+  upload.fields([
+    { name: "files", maxCount: CONFIG.WORKSPACE_MAX_FILES },
+    { name: "attachments", maxCount: CONFIG.ATTACHMENT_MAX_FILES },
+  ])(req, res, (err) => {
+    if (err) {
+      return sendError(
+        res,
+        createAPIError("invalid_request", err.message),
+        "Invalid upload"
+      );
+    }
+
+    if (!req.is("multipart/form-data")) {
+      return next();
+    }
+
+    for (const [field, value] of Object.entries(req.body)) {
+      if (MULTIPART_TEXT_FIELDS.includes(field) || typeof value !== "string") {
+        continue;
+      }
+      try {
+        req.body[field] = JSON.parse(value);
+      } catch (e) {
+        // Keep plain strings as they are
+      }
+    }
+
+    const { files = [], attachments = [] } = req.files || {};
+    const uploads = files.map((file) => ({
+      path: file.originalname,
+      content: file.buffer.toString("base64"),
+      encoding: "base64",
+    }));
+    req.body.files = [...(req.body.files || []), ...uploads];
+    if (attachments.length > 0) {
+      req.body.attachments = [
+        ...(req.body.attachments || []),
+        ...attachments.map((file) => ({
+          name: file.originalname,
+          mimeType: file.mimetype,
+          content: file.buffer.toString("base64"),
+        })),
+      ];
+    }
+    next();
+  });
+};
+
+// ===========================
+// POLICY
+// ===========================
+
+let policy = null;
+
+/**
+ * Load the request policy from POLICY_FILE. Without a policy file every
+ * option is allowed; a policy file that cannot be read stops the server.
+ */
+function loadPolicy() {
+  if (!CONFIG.POLICY_FILE) return;
+
+  try {
+    policy = readJSONFile(CONFIG.POLICY_FILE, null);
+  } catch (error) {
+    logger.error("Invalid policy file", { error: error.message });
+    process.exit(1);
+  }
+
+  if (!policy) {
+    logger.error("Policy file not found", { file: CONFIG.POLICY_FILE });
+    process.exit(1);
+  }
+  logger.info("Loaded policy", { file: CONFIG.POLICY_FILE });
+}
+
+/**
+ * Check whether a tool is allowed by the policy. A policy entry such as
+ * "Bash" also allows scoped variants like "Bash(git:*)".
+ */
+function isToolAllowed(tool) {
+  const baseName = String(tool).split("(")[0].trim();
+  return (
+    policy.allowedTools.includes(tool) || policy.allowedTools.includes(baseName)
+  );
+}
+
+/**
+ * Check request options against the policy
+ * @returns {Array<{code: string, field: string, message: string}>}
+ */
+function checkPolicy(body) {
+  const violations = [];
+  if (!policy) return violations;
+
+  const violation = (field, message) =>
+    violations.push({ code: "policy_violation", field, message });
+
+  if (
+    body.dangerouslySkipPermissions &&
+    policy.allowDangerouslySkipPermissions === false
+  ) {
+    violation(
+      "dangerouslySkipPermissions",
+      "dangerouslySkipPermissions is not allowed"
+    );
+  }
+
+  if (body.settings && policy.allowSettings === false) {
+    violation("settings", "settings is not allowed");
+  }
+
+  if (body.mcpConfig && body.mcpConfig.length > 0) {
+    if (policy.allowMcpConfig === false) {
+      violation("mcpConfig", "mcpConfig is not allowed");
+    } else if (Array.isArray(policy.allowedMcpConfigs)) {
+      for (const config of [].concat(body.mcpConfig)) {
+        if (!policy.allowedMcpConfigs.includes(config)) {
+          violation("mcpConfig", `mcpConfig ${config} is not allowed`);
+        }
+      }
+    }
+  }
+
+  if (Array.isArray(policy.allowedTools) && body.allowedTools) {
+    for (const tool of [].concat(body.allowedTools)) {
+      if (!isToolAllowed(tool)) {
+        violation("allowedTools", `Tool ${tool} is not allowed`);
+      }
+    }
+  }
+
+  if (
+    Array.isArray(policy.allowedModels) &&
+    body.model &&
+    !policy.allowedModels.includes(body.model)
+  ) {
+    violation("model", `Model ${body.model} is not allowed`);
+  }
+
+  if (
+    policy.maxTimeout &&
+    body.timeout !== undefined &&
+    !(body.timeout > 0 && body.timeout <= policy.maxTimeout)
+  ) {
+    violation(
+      "timeout",
+      `timeout must be between 1 and ${policy.maxTimeout} ms`
+    );
+  }
+
+  return violations;
+}
+
+/**
+ * Check a batch's common options and per-prompt overrides against the policy
+ */
+function checkBatchPolicy(body) {
+  const { prompts, ...commonOptions } = body;
+  const violations = checkPolicy(commonOptions);
+
+  for (const prompt of prompts) {
+    if (prompt && typeof prompt === "object" && prompt.model) {
+      violations.push(...checkPolicy({ model: prompt.model }));
+    }
+  }
+
+  return violations;
+}
+
+// ===========================
+// PROMPT TEMPLATES
+// ===========================
+
+const templates = new Map(); // name -> template
+const TEMPLATE_NAME_PATTERN = /^[a-z0-9][\w-]*$/i;
+const TEMPLATE_VARIABLE_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+const TEMPLATE_FIELDS = [
+  "description",
+  "prompt",
+  "systemPrompt",
+  "model",
+  "cli",
+  "defaults",
+];
+
+/**
+ * Path of a template's file in TEMPLATES_DIR
+ */
+function getTemplateFile(name) {
+  return path.join(CONFIG.TEMPLATES_DIR, `${name}.json`);
+}
+
+/**
+ * Load every `<name>.json` template in TEMPLATES_DIR. A missing directory
+ * means no templates; an invalid template stops the server.
+ */
+function loadTemplates() {
+  const dir = path.resolve(CONFIG.TEMPLATES_DIR);
+  if (!fs.existsSync(dir)) return;
+
+  for (const file of fs.readdirSync(dir)) {
+    if (path.extname(file) !== ".json") continue;
+    const name = path.basename(file, ".json");
+
+    let definition;
+    try {
+      definition = readJSONFile(path.join(dir, file), null);
+    } catch (error) {
+      logger.error("Invalid template file", { file, error: error.message });
+      process.exit(1);
+    }
+
+    const errors = validateTemplate(name, definition);
+    if (errors.length > 0) {
+      logger.error("Invalid template", { file, errors });
+      process.exit(1);
+    }
+    templates.set(name, createTemplate(name, definition));
+  }
+
+  logger.info("Loaded templates", { dir, templates: [...templates.keys()] });
+}
+
+/**
+ * Validate a template name and definition
+ * @returns {string[]} Error messages
+ */
+function validateTemplate(name, definition) {
+  const errors = [];
+
+  if (typeof name !== "string" || !TEMPLATE_NAME_PATTERN.test(name)) {
+    errors.push(
+      "name must start with a letter or digit and contain only letters, digits, '_' and '-'"
+    );
+  }
+  if (!definition || typeof definition !== "object") {
+    errors.push("template must be an object");
+    return errors;
+  }
+
+  if (typeof definition.prompt !== "string" || !definition.prompt) {
+    errors.push("prompt is required");
+  } else if (definition.prompt.length > CONFIG.MAX_PROMPT_LENGTH) {
+    errors.push(
+      `prompt exceeds maximum length of ${CONFIG.MAX_PROMPT_LENGTH} characters`
+    );
+  }
+  for (const field of ["description", "systemPrompt", "model"]) {
+    if (
+      definition[field] !== undefined &&
+      typeof definition[field] !== "string"
+    ) {
+      errors.push(`${field} must be a string`);
+    }
+  }
+  if (definition.cli !== undefined && !providers.has(definition.cli)) {
+    errors.push(`cli must be one of: ${[...providers.keys()].join(", ")}`);
+  }
+  if (definition.defaults !== undefined) {
+    if (
+      !definition.defaults ||
+      typeof definition.defaults !== "object" ||
+      Array.isArray(definition.defaults)
+    ) {
+      errors.push("defaults must be an object");
+    } else if (
+      Object.values(definition.defaults).some(
+        (value) => value === null || typeof value === "object"
+      )
+    ) {
+      errors.push("defaults values must be strings, numbers or booleans");
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * The TEMPLATE_FIELDS set in a definition
+ */
+function pickTemplateFields(definition) {
+  return Object.fromEntries(
+    TEMPLATE_FIELDS.filter((field) => definition[field] !== undefined).map(
+      (field) => [field, definition[field]]
+    )
+  );
+}
+
+/**
+ * Build a template record from a validated definition
+ */
+function createTemplate(name, definition) {
+  const fields = pickTemplateFields(definition);
+  return { name, ...fields, defaults: fields.defaults || {} };
+}
+
+/**
+ * Write a validated template to TEMPLATES_DIR and the registry
+ */
+function saveTemplate(name, definition) {
+  const fields = pickTemplateFields(definition);
+  writeJSONFile(getTemplateFile(name), fields);
+  templates.set(name, createTemplate(name, fields));
+}
+
+/**
+ * Remove a template from TEMPLATES_DIR and the registry
+ */
+function deleteTemplate(name) {
+  fs.rmSync(path.resolve(getTemplateFile(name)), { force: true });
+  templates.delete(name);
+}
+
+/**
+ * Names of the `{{variable}}` placeholders in a template's prompt and
+ * system prompt, in order of first use
+ */
+function getTemplateVariables(template) {
+  const text = `${template.prompt}\n${template.systemPrompt || ""}`;
+  const names = Array.from(
+    text.matchAll(TEMPLATE_VARIABLE_PATTERN),
+    (match) => match[1]
+  );
+  return [...new Set(names)];
+}
+
+/**
+ * A template as returned by /api/templates, with its variables and the
+ * ones a request has to provide (those without a default)
+ */
+function serializeTemplate(template) {
+  const variables = getTemplateVariables(template);
+  return {
+    ...template,
+    variables,
+    required: variables.filter((name) => !(name in template.defaults)),
+  };
+}
+
+/**
+ * Fill in a template's placeholders. Objects and arrays are inserted as
+ * JSON; inserted values are not scanned for placeholders again.
+ * @throws {Error} invalid_request when a variable without a default is
+ *   missing
+ */
+function renderTemplate(template, variables = {}) {
+  const values = { ...template.defaults, ...variables };
+  const missing = getTemplateVariables(template).filter(
+    (name) => values[name] === undefined || values[name] === null
+  );
+  if (missing.length > 0) {
+    throw createAPIError(
+      "invalid_request",
+      `template ${template.name} is missing variables: ${missing.join(", ")}`
+    );
+  }
+
+  const fill = (text) =>
+    text.replace(TEMPLATE_VARIABLE_PATTERN, (placeholder, name) => {
+      const value = values[name];
+      return typeof value === "object" ? JSON.stringify(value) : String(value);
+    });
+
+  return {
+    prompt: fill(template.prompt),
+    systemPrompt: template.systemPrompt && fill(template.systemPrompt),
+  };
+}
+
+/**
+ * Replace `template` and `variables` in a request (or batch prompt) with
+ * the rendered prompt and system prompt. The template's model and cli are
+ * defaults; options set on the request win.
+ * @param {Object} options - Request body or batch prompt
+ * @param {Object} [inherited] - Batch-level `template`, `variables` and
+ *   options, used by prompts that do not set their own
+ */
+function applyTemplate(options, inherited = {}) {
+  const { template: name, variables, ...rest } = options;
+  if (options.prompt !== undefined) {
+    throw createAPIError(
+      "invalid_request",
+      "Use either prompt or template, not both"
+    );
+  }
+  if (
+    variables !== undefined &&
+    (!variables || typeof variables !== "object" || Array.isArray(variables))
+  ) {
+    throw createAPIError("invalid_request", "variables must be an object");
+  }
+
+  const template = templates.get(name || inherited.template);
+  if (!template) {
+    throw createAPIError(
+      "invalid_request",
+      `Unknown template ${name || inherited.template}`
+    );
+  }
+
+  const rendered = renderTemplate(template, {
+    ...inherited.variables,
+    ...variables,
+  });
+  return {
+    ...rest,
+    prompt: rendered.prompt,
+    systemPrompt:
+      rest.systemPrompt || inherited.systemPrompt || rendered.systemPrompt,
+    model: rest.model || inherited.model || template.model,
+    cli: rest.cli || inherited.cli || template.cli,
+  };
+}
+
+/**
+ * Expand prompt templates before a route validates its body. Requests use
+ * `template` and `variables` instead of `prompt`; batch prompts may name
+ * their own template or give only `variables` for the batch's `template`.
+ */
+const expandTemplates = (req, res, next) => {
+  const body = req.body;
+
+  try {
+    if (Array.isArray(body.prompts)) {
+      const { template, variables, systemPrompt, model, cli } = body;
+      const usesTemplate = (prompt) =>
+        prompt &&
+        typeof prompt === "object" &&
+        (prompt.template !== undefined ||
+          (template !== undefined && prompt.prompt === undefined));
+
+      body.prompts = body.prompts.map((prompt) =>
+        usesTemplate(prompt)
+          ? applyTemplate(prompt, {
+              template,
+              variables,
+              systemPrompt,
+              model,
+              cli,
+            })
+          : prompt
+      );
+      delete body.template;
+      delete body.variables;
+    } else if (body.template !== undefined) {
+      req.body = applyTemplate(body);
+    }
+  } catch (error) {
+    return sendError(res, error, "Invalid request");
+  }
+
+  // Templates may name a CLI the API key is not allowed to use
+  const scopeError = req.apiKey && applyKeyScopes(req.apiKey, req.body);
+  if (scopeError) {
+    return sendError(res, createAPIError("forbidden", scopeError), "Forbidden");
+  }
+
+  next();
+};
+
+// ===========================
+// API KEYS
+// ===========================
+
+const apiKeys = new Map(); // key hash -> key record
+
+// Usage counts change on every request, so they are written at most once
+// per API_KEYS_SAVE_DELAY ms rather than on the request path
+const API_KEYS_SAVE_DELAY = 1000;
+let apiKeysSaveTimer = null;
+let apiKeysWrite = Promise.resolve();
+
+/**
+ * Hash an API key for storage and lookup
+ */
+function hashApiKey(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Persist all API keys to the API keys file. Writes run in the background
+ * one at a time, each with the keys as they are when it starts.
+ * @returns {Promise<void>} Resolves once the keys are written
+ */
+function saveApiKeys() {
+  clearTimeout(apiKeysSaveTimer);
+  apiKeysSaveTimer = null;
+
+  apiKeysWrite = apiKeysWrite.then(async () => {
+    const file = path.resolve(CONFIG.API_KEYS_FILE);
+    try {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(
+        `${file}.tmp`,
+        JSON.stringify(Array.from(apiKeys.values()), null, 2)
+      );
+      await fs.promises.rename(`${file}.tmp`, file);
+    } catch (error) {
+      logger.error("Failed to save API keys", { error: error.message });
+    }
+  });
+  return apiKeysWrite;
+}
+
+/**
+ * Save the API keys after API_KEYS_SAVE_DELAY, so that the usage counts of
+ * many requests share one write
+ */
+function scheduleApiKeysSave() {
+  if (apiKeysSaveTimer) return;
+  apiKeysSaveTimer = setTimeout(saveApiKeys, API_KEYS_SAVE_DELAY);
+  apiKeysSaveTimer.unref();
+}
+
+/**
+ * Load API keys from the API keys file
+ */
+function loadApiKeys() {
+  try {
+    for (const key of readJSONFile(CONFIG.API_KEYS_FILE, [])) {
+      apiKeys.set(key.hash, key);
+    }
+    logger.info("Loaded API keys", { count: apiKeys.size });
+  } catch (error) {
+    logger.error("Failed to load API keys", { error: error.message });
+  }
+}
+
+/**
+ * Extract a bearer token (Authorization header) or x-api-key header
+ */
+function getRequestToken(req) {
+  const header = req.headers.authorization || "";
+  if (header.startsWith("Bearer ")) {
+    return header.slice(7).trim() || null;
+  }
+  return req.headers["x-api-key"] || null;
+}
+
+/**
+ * Check a token against ADMIN_API_KEY in constant time
+ */
+function isAdminToken(token) {
+  if (!CONFIG.ADMIN_API_KEY) return false;
+  return crypto.timingSafeEqual(
+    Buffer.from(hashApiKey(token), "hex"),
+    Buffer.from(hashApiKey(CONFIG.ADMIN_API_KEY), "hex")
+  );
+}
+
+/**
+ * Look up the active API key for a request, caching it on req.apiKey
+ * @returns {Object|null}
+ */
+function resolveApiKey(req) {
+  if (req.apiKey === undefined) {
+    const token = getRequestToken(req);
+    const key = token ? apiKeys.get(hashApiKey(token)) : undefined;
+    req.apiKey = key && !key.revokedAt ? key : null;
+  }
+  return req.apiKey;
+}
+
+/**
+ * Check whether the request's API key may use a CLI
+ */
+function isCLIAllowed(req, cli) {
+  const key = req.apiKey;
+  return !key || !key.scopes.clis || key.scopes.clis.includes(cli);
+}
+
+/**
+ * Check whether the request carries ADMIN_API_KEY or an admin-scoped key
+ */
+function isAdminRequest(req) {
+  const token = getRequestToken(req);
+  const key = resolveApiKey(req);
+  return Boolean((token && isAdminToken(token)) || (key && key.scopes.admin));
+}
+
+/**
+ * Check whether the caller owns a job or session (admins own everything)
+ */
+function isOwnedByCaller(req, record) {
+  return isAdminRequest(req) || record.user === getCallerIdentity(req);
+}
+
+/**
+ * Validate an API key creation payload
+ */
+function validateApiKeyRequest(body) {
+  const errors = [];
+
+  if (!body.name || typeof body.name !== "string") {
+    errors.push("name is required");
+  }
+  if (
+    body.clis !== undefined &&
+    (!Array.isArray(body.clis) ||
+      body.clis.length === 0 ||
+      body.clis.some((cli) => !providers.has(cli)))
+  ) {
+    errors.push(
+      `clis must be a non-empty array of: ${[...providers.keys()].join(", ")}`
+    );
+  }
+  for (const field of ["rateLimit", "dailyQuota"]) {
+    if (
+      body[field] !== undefined &&
+      body[field] !== null &&
+      (!Number.isInteger(body[field]) || body[field] < 1)
+    ) {
+      errors.push(`${field} must be a positive integer`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Create and store a new API key
+ * @returns {{key: Object, token: string}} The stored record and the plain key
+ */
+function createApiKey(body) {
+  const token = `cca_${crypto.randomBytes(24).toString("base64url")}`;
+  const key = {
+    id: crypto.randomUUID(),
+    name: body.name,
+    prefix: token.slice(0, 12),
+    hash: hashApiKey(token),
+    scopes: {
+      clis: body.clis || null,
+      allowDangerouslySkipPermissions:
+        body.allowDangerouslySkipPermissions === true,
+      allowMcpConfig: body.allowMcpConfig === true,
+      admin: body.admin === true,
+    },
+    rateLimit: body.rateLimit || null,
+    dailyQuota: body.dailyQuota || null,
+    usage: { date: null, count: 0 },
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+    revokedAt: null,
+  };
+
+  apiKeys.set(key.hash, key);
+  saveApiKeys();
+  return { key, token };
+}
+
+/**
+ * Public view of an API key (never includes the hash)
+ */
+function serializeApiKey(key) {
+  const { hash, ...publicKey } = key;
+  return publicKey;
+}
+
+/**
+ * Check a request body against the key's scopes. The allowed CLIs are
+ * recorded on the body so provider chains skip the others, and fallback is
+ * turned off when only one CLI is allowed.
+ * @returns {string|null} Error message, or null if the request is allowed
+ */
+function applyKeyScopes(key, body) {
+  const { scopes } = key;
+
+  if (
+    body.dangerouslySkipPermissions &&
+    !scopes.allowDangerouslySkipPermissions
+  ) {
+    return "API key is not allowed to use dangerouslySkipPermissions";
+  }
+  if (body.mcpConfig && !scopes.allowMcpConfig) {
+    return "API key is not allowed to use mcpConfig";
+  }
+
+  if (!scopes.clis) return null;
+
+  const requested = [body.cli, ...(body.fallbackChain || [])];
+  if (Array.isArray(body.prompts)) {
+    requested.push(...body.prompts.map((prompt) => prompt && prompt.cli));
+  }
+  const denied = requested.find((cli) => cli && !scopes.clis.includes(cli));
+  if (denied) {
+    return `API key is not allowed to use ${denied}`;
+  }
+
+  if (scopes.clis.length < 2) {
+    body.disableFallback = true;
+  }
+  // Keeps fallback chains from reaching providers outside the key's scope
+  body.allowedCLIs = scopes.clis;
+
+  return null;
+}
+
+/**
+ * Count one request against an API key's daily quota, which starts over
+ * each UTC day
+ * @returns {Error|null} A quota_exceeded error, with retryAfter set to the
+ *   seconds until midnight UTC, once the quota is used up
+ */
+function consumeQuota(key) {
+  const now = new Date();
+  const today = now.toISOString().slice(0, 10);
+  if (key.usage.date !== today) {
+    key.usage = { date: today, count: 0 };
+  }
+
+  if (key.dailyQuota && key.usage.count >= key.dailyQuota) {
+    const midnight = new Date(today);
+    midnight.setUTCDate(midnight.getUTCDate() + 1);
+    const error = createAPIError(
+      "quota_exceeded",
+      `API key is limited to ${key.dailyQuota} requests per day`
+    );
+    error.retryAfter = Math.ceil((midnight.getTime() - now.getTime()) / 1000);
+    return error;
+  }
+
+  key.usage.count++;
+  key.lastUsedAt = now.toISOString();
+  scheduleApiKeysSave();
+  return null;
+}
+
+/**
+ * Enforce scopes and the daily quota for a request made with an API key.
+ * Every POST request counts towards the quota, and so does every message
+ * sent over /api/ws.
+ */
+function authorizeApiKey(req, res, next) {
+  const key = req.apiKey;
+
+  if (req.method === "POST" && req.body) {
+    const scopeError = applyKeyScopes(key, req.body);
+    if (scopeError) {
+      return sendError(
+        res,
+        createAPIError("forbidden", scopeError),
+        "Forbidden"
+      );
+    }
+  }
+
+  if (req.method === "POST") {
+    const quotaError = consumeQuota(key);
+    if (quotaError) {
+      return sendError(res, quotaError, "Daily quota exceeded");
+    }
+  }
+
+  key.lastUsedAt = new Date().toISOString();
+  scheduleApiKeysSave();
+  next();
+}
+
+// ===========================
+// PROCESS POOL
+// ===========================
+
+/**
+ * Create a concurrency-limited pool with a FIFO wait queue
+ */
+function createProcessPool(name, maxConcurrency) {
+  return {
+    name,
+    maxConcurrency,
+    running: 0,
+    queue: [],
+    stats: { started: 0, rejected: 0, timedOut: 0 },
+  };
+}
+
+const processPools = {
+  claude: createProcessPool("claude", CONFIG.CLAUDE_MAX_CONCURRENCY),
+  gemini: createProcessPool("gemini", CONFIG.GEMINI_MAX_CONCURRENCY),
+};
+
+/**
+ * Build an error for a request the pool could not serve
+ */
+function createPoolError(message, status) {
+  const error = createAPIError(
+    status === 429 ? "queue_full" : "queue_timeout",
+    message
+  );
+  error.retryAfter = Math.ceil(CONFIG.POOL_QUEUE_TIMEOUT / 1000);
+  error.kind = "busy";
+  return error;
+}
+
+/**
+ * Wait for a free process slot for a CLI
+ * @param {string} cli - 'claude' or 'gemini'
+ * @param {AbortSignal} [signal] - Leaves the queue when aborted
+ * @returns {Promise<Function>} Resolves with a release function
+ */
+function acquireProcessSlot(cli, signal) {
+  const pool = processPools[cli];
+
+  const grant = () => {
+    pool.running++;
+    pool.stats.started++;
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      pool.running--;
+      const next = pool.queue.shift();
+      if (next) next.resolve();
+    };
+  };
+
+  if (pool.running < pool.maxConcurrency) {
+    return Promise.resolve(grant());
+  }
+
+  // Nothing new is queued once shutdown has started
+  if (shuttingDown) {
+    return Promise.reject(createShutdownError());
+  }
+
+  if (pool.queue.length >= CONFIG.POOL_MAX_QUEUE) {
+    pool.stats.rejected++;
+    return Promise.reject(
+      createPoolError(`Too many queued ${cli} requests`, 429)
+    );
+  }
+
+  if (signal && signal.aborted) {
+    return Promise.reject(createCancelledError());
+  }
+
+  return new Promise((resolve, reject) => {
+    const entry = {};
+    const onAbort = () => entry.reject(createCancelledError());
+    const leave = () => {
+      clearTimeout(entry.timer);
+      if (signal) signal.removeEventListener("abort", onAbort);
+      const index = pool.queue.indexOf(entry);
+      if (index !== -1) pool.queue.splice(index, 1);
+    };
+
+    entry.resolve = () => {
+      leave();
+      resolve(grant());
+    };
+    entry.reject = (error) => {
+      leave();
+      reject(error);
+    };
+    entry.timer = setTimeout(() => {
+      leave();
+      pool.stats.timedOut++;
+      reject(
+        createPoolError(`Timed out waiting for a free ${cli} process`, 503)
+      );
+    }, CONFIG.POOL_QUEUE_TIMEOUT);
+
+    if (signal) {
+      signal.addEventListener("abort", onAbort, { once: true });
+    }
+
+    pool.queue.push(entry);
+  });
+}
+
+/**
+ * Run a CLI executor inside a process slot. Unless options.cwd is given, the
+ * CLI runs in a fresh temporary workspace holding the uploaded files, and the
+ * files it created or changed are returned with the result.
+ * @param {string} cli - 'claude' or 'gemini'
+ * @param {Object} options - Execution options
+ */
+async function runCLI(cli, options) {
+  const release = await acquireProcessSlot(cli, options.signal);
+  const startedAt = Date.now();
+  let workspace = null;
+
+  try {
+    if (!options.cwd) {
+      workspace = await createWorkspace(options.files, options.attachments);
+    }
+    const execOptions = workspace
+      ? {
+          ...options,
+          cwd: workspace.dir,
+          prompt: addAttachmentReferences(
+            options.prompt,
+            options.attachments,
+            cli
+          ),
+        }
+      : options;
+    const result = await providers.get(cli).execute(execOptions);
+
+    // Text output reports no tokens, so those runs are recorded without any
+    const outputFormat = options.outputFormat || "json";
+    recordUsage(
+      cli,
+      options.model || getDefaultModel(cli),
+      outputFormat === "json"
+        ? parseOutput(result.stdout, "json")
+        : outputFormat === "stream-json"
+          ? findResultEvent(result.stdout)
+          : null
+    );
+
+    result.durationMs = Date.now() - startedAt;
+    if (workspace) {
+      result.files = await collectWorkspaceChanges(workspace);
+    }
+    return result;
+  } catch (error) {
+    // Processes stopped by the shutdown did not fail on their own
+    if (terminatingChildren) {
+      throw createShutdownError("Interrupted by server shutdown");
+    }
+    throw error;
+  } finally {
+    release();
+    if (workspace) await removeWorkspace(workspace);
+  }
+}
+
+/**
+ * Current pool statistics per CLI
+ */
+function getPoolStats() {
+  const stats = {};
+  for (const [cli, pool] of Object.entries(processPools)) {
+    stats[cli] = {
+      maxConcurrency: pool.maxConcurrency,
+      running: pool.running,
+      queued: pool.queue.length,
+      maxQueue: CONFIG.POOL_MAX_QUEUE,
+      ...pool.stats,
+    };
+  }
+  return stats;
+}
+
+/**
+ * Set the Retry-After header for errors that carry one
+ */
+function applyErrorHeaders(res, error) {
+  if (error.retryAfter) {
+    res.setHeader("Retry-After", String(error.retryAfter));
+  }
+}
+
+// ===========================
+// SHUTDOWN
+// ===========================
+
+// Seconds clients are asked to wait before retrying work refused or
+// interrupted by a shutdown; by then a restarted or sibling instance is up
+const SHUTDOWN_RETRY_AFTER = 5;
+
+// Paths still served while draining, so probes see the shutdown
+const SHUTDOWN_ALLOWED_PATHS = ["/health", "/livez", "/readyz", "/metrics"];
+
+let shuttingDown = false;
+let terminatingChildren = false;
+let inFlightRequests = 0;
+
+// Supervised CLI processes (see superviseProcess) that have not exited yet
+const childProcesses = new Set();
+
+/**
+ * Remember a supervised process until it exits, so shutdown can stop it
+ */
+function trackChild(proc) {
+  childProcesses.add(proc);
+  proc.child.on("close", () => childProcesses.delete(proc));
+}
+
+/**
+ * Build the retryable error for work refused or cut short by a shutdown
+ */
+function createShutdownError(message = "Server is shutting down") {
+  const error = createAPIError("shutting_down", message);
+  error.retryAfter = SHUTDOWN_RETRY_AFTER;
+  error.kind = "shutdown";
+  return error;
+}
+
+/**
+ * Count requests until their response closes. Once shutdown has started,
+ * new requests get a 503 with Retry-After instead.
+ * WebSocket upgrades are left out: sessions are closed by the shutdown.
+ */
+function trackInFlightRequests(req, res, next) {
+  if (shuttingDown && !SHUTDOWN_ALLOWED_PATHS.includes(req.path)) {
+    res.setHeader("Connection", "close");
+    return sendError(res, createShutdownError(), "Service unavailable");
+  }
+  if (req.upgradeHead) return next();
+
+  inFlightRequests++;
+  res.on("close", () => inFlightRequests--);
+  next();
+}
+
+/**
+ * Wait until a condition holds or the time is up
+ * @returns {Promise<boolean>} Whether the condition was met
+ */
+async function waitFor(condition, timeout) {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() >= deadline) return false;
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  return true;
+}
+
+/**
+ * Refuse everything waiting for a process slot
+ */
+function rejectQueuedWork() {
+  for (const pool of Object.values(processPools)) {
+    for (const entry of [...pool.queue]) {
+      entry.reject(createShutdownError());
+    }
+  }
+}
+
+/**
+ * Close interactive sessions, then stop the CLI processes still running:
+ * SIGTERM to each process group first, SIGKILL SHUTDOWN_KILL_TIMEOUT later
+ */
+async function terminateChildren() {
+  terminatingChildren = true;
+
+  for (const ws of wss.clients) {
+    ws.send(JSON.stringify(toErrorEvent(createShutdownError())));
+    ws.close(1012, "Server restarting");
+  }
+
+  if (childProcesses.size === 0) return;
+  logger.warn("Stopping CLI processes", { count: childProcesses.size });
+  for (const proc of childProcesses) proc.stop(CONFIG.SHUTDOWN_KILL_TIMEOUT);
+
+  await waitFor(
+    () => childProcesses.size === 0,
+    CONFIG.SHUTDOWN_KILL_TIMEOUT + 1000
+  );
+}
+
+// ===========================
+// PROCESS SUPERVISOR
+// ===========================
+
+/**
+ * Spawn a CLI in its own process group and watch over it:
+ * - a wall-clock timeout and an optional idle timeout (no stdout or stderr
+ *   for that long), which stop the process and set proc.failure to a 504
+ * - with collectOutput, stdout and stderr are buffered up to
+ *   PROCESS_MAX_OUTPUT bytes each. More stdout stops the process with an
+ *   output_limit failure; more stderr is dropped.
+ * - stop() sends SIGTERM to the whole group, so tool subprocesses go too,
+ *   and SIGKILL if anything is left after PROCESS_KILL_GRACE
+ * - aborting the signal stops the process
+ * Callers listen to proc.child themselves and check proc.failure on close.
+ * @param {string} command - Executable to run
+ * @param {string[]} args - Its arguments
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Working directory
+ * @param {Array} [options.stdio] - stdio for spawn (stdin ignored by default)
+ * @param {AbortSignal} [options.signal] - Stops the process when aborted
+ * @param {number} [options.timeout] - Wall-clock limit in ms (0 = none)
+ * @param {number} [options.idleTimeout] - Limit without output in ms (0 = none)
+ * @param {boolean} [options.collectOutput] - Buffer stdout and stderr
+ * @param {boolean} [options.collectStderr] - Buffer stderr only, for
+ *   classifying a streaming run's failure
+ * @returns {{child: ChildProcess, stdout: string, stderr: string,
+ *   failure: Error|null, stop: Function, kill: Function}}
+ */
+function superviseProcess(command, args, options = {}) {
+  const {
+    cwd,
+    stdio = ["ignore", "pipe", "pipe"],
+    signal,
+    timeout = 0,
+    idleTimeout = 0,
+    collectOutput = false,
+    collectStderr = collectOutput,
+  } = options;
+
+  const child = spawn(command, args, {
+    cwd,
+    stdio,
+    env: { ...process.env },
+    shell: false,
+    detached: true, // Leads its own process group, see kill()
+  });
+
+  const proc = {
+    child,
+    stdout: "",
+    stderr: "",
+    failure: null,
+    stop,
+    kill,
+  };
+  let stdoutBytes = 0;
+  let stderrBytes = 0;
+  let killTimer = null;
+  let idleTimer = null;
+  let closed = false;
+
+  /**
+   * Send a signal to the process and everything it started
+   */
+  function kill(signalName) {
+    if (child.pid === undefined) return; // Never started
+    try {
+      process.kill(-child.pid, signalName);
+    } catch (error) {
+      // The group is already gone
+    }
+  }
+
+  /**
+   * SIGTERM now, SIGKILL after killAfter ms unless the process is gone
+   */
+  function stop(killAfter = CONFIG.PROCESS_KILL_GRACE) {
+    if (killTimer || closed) return;
+    kill("SIGTERM");
+    killTimer = setTimeout(() => {
+      kill("SIGKILL");
+      // Descendants that left the group could keep the pipes, and so the
+      // close event, open
+      for (const stream of [child.stdout, child.stderr]) {
+        if (stream) stream.destroy();
+      }
+    }, killAfter);
+    killTimer.unref();
+  }
+
+  const fail = (error) => {
+    if (proc.failure) return;
+    proc.failure = error;
+    logger.warn("Stopping CLI process", { cli: command, reason: error.kind });
+    stop();
+  };
+
+  const wallTimer =
+    timeout > 0
+      ? setTimeout(
+          () =>
+            fail(
+              createCLIError(
+                `${command} timed out after ${timeout} ms`,
+                "timeout"
+              )
+            ),
+          timeout
+        )
+      : null;
+
+  const resetIdleTimer = () => {
+    if (!idleTimeout) return;
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(
+      () =>
+        fail(
+          createCLIError(
+            `${command} produced no output for ${idleTimeout} ms`,
+            "idle_timeout"
+          )
+        ),
+      idleTimeout
+    );
+  };
+  resetIdleTimer();
+
+  if (child.stdout) {
+    child.stdout.on("data", (data) => {
+      resetIdleTimer();
+      if (!collectOutput) return;
+      stdoutBytes += data.length;
+      if (stdoutBytes > CONFIG.PROCESS_MAX_OUTPUT) {
+        return fail(
+          createCLIError(
+            `${command} output exceeded ${CONFIG.PROCESS_MAX_OUTPUT} bytes`,
+            "output_limit"
+          )
+        );
+      }
+      proc.stdout += data.toString();
+    });
+  }
+
+  if (child.stderr) {
+    child.stderr.on("data", (data) => {
+      resetIdleTimer();
+      if (!collectStderr) return;
+      stderrBytes += data.length;
+      if (stderrBytes <= CONFIG.PROCESS_MAX_OUTPUT) {
+        proc.stderr += data.toString();
+      }
+    });
+  }
+
+  if (signal) {
+    if (signal.aborted) stop();
+    else signal.addEventListener("abort", () => stop(), { once: true });
+  }
+
+  const clearTimers = () => {
+    clearTimeout(wallTimer);
+    clearTimeout(idleTimer);
+  };
+  child.on("error", clearTimers);
+  child.on("close", () => {
+    closed = true;
+    clearTimers();
+  });
+
+  trackChild(proc);
+  return proc;
+}
+
+/**
+ * Run a CLI to completion under superviseProcess and collect its output.
+ * Failures are CLIErrors tagged with their kind (see createCLIError).
+ * @param {Object} run
+ * @param {string} run.cli - Provider name, for logs and metrics
+ * @param {string} run.label - Name used in error messages
+ * @param {string} run.command - Executable to run
+ * @param {string[]} run.args - Its arguments
+ * @param {string} run.model - Model, for logs and metrics
+ * @param {string} [run.input] - Written to stdin, which is ignored otherwise
+ * @param {number} [run.idleTimeout] - Only useful for streaming output formats
+ * @returns {Promise<{stdout: string, stderr: string}>}
+ */
+function runProcess(run) {
+  const {
+    cli,
+    label,
+    command,
+    args,
+    model,
+    input,
+    cwd,
+    signal,
+    timeout = CONFIG.REQUEST_TIMEOUT,
+    idleTimeout = 0,
+  } = run;
+
+  return new Promise((resolve, reject) => {
+    const proc = superviseProcess(command, args, {
+      cwd,
+      signal,
+      timeout,
+      idleTimeout,
+      stdio: [input === undefined ? "ignore" : "pipe", "pipe", "pipe"],
+      collectOutput: true,
+    });
+    const recordExecution = startCLIExecution(cli, model);
+
+    if (input !== undefined) {
+      proc.child.stdin.on("error", () => {}); // Reported by the close handler
+      proc.child.stdin.end(input);
+    }
+
+    proc.child.stderr.on("data", (data) => {
+      const errMsg = data.toString().trim();
+      if (errMsg) logger.warn("CLI stderr", { cli, stderr: errMsg });
+    });
+
+    proc.child.on("error", (error) => {
+      recordExecution("spawn_error");
+      reject(
+        createCLIError(
+          `Failed to spawn ${label}: ${error.message}`,
+          "spawn_error"
+        )
+      );
+    });
+
+    proc.child.on("close", (code) => {
+      if (proc.child.pid === undefined) return; // Rejected by the error handler
+
+      if (signal && signal.aborted) {
+        recordExecution("cancelled");
+        return reject(createCancelledError());
+      }
+      if (proc.failure) {
+        recordExecution(proc.failure.kind);
+        return reject(proc.failure);
+      }
+      if (code !== 0) {
+        recordExecution("exit_error", code);
+        return reject(
+          createCLIError(
+            `${label} exited with code ${code}`,
+            // 126 and 127 are a wrapper script failing to start the CLI
+            code === 126 || code === 127 ? "spawn_error" : "exit_error",
+            `${proc.stderr}\n${proc.stdout}`
+          )
+        );
+      }
+
+      recordExecution("success");
+      resolve({ stdout: proc.stdout, stderr: proc.stderr });
+    });
+  });
+}
+
+// ===========================
+// METRICS
+// ===========================
+
+const DURATION_BUCKETS = [0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600];
+
+/**
+ * Create a metric. Series are keyed by their rendered label set.
+ * @param {string} type - 'counter' or 'histogram'
+ */
+function createMetric(name, type, help) {
+  return { name, type, help, series: new Map() };
+}
+
+const metrics = {
+  httpRequests: createMetric(
+    "aicli_http_requests_total",
+    "counter",
+    "HTTP requests by route, method, status, requested CLI and model"
+  ),
+  cliExecutions: createMetric(
+    "aicli_cli_executions_total",
+    "counter",
+    "CLI executions by CLI, model and outcome"
+  ),
+  cliDuration: createMetric(
+    "aicli_cli_execution_duration_seconds",
+    "histogram",
+    "CLI execution duration in seconds"
+  ),
+  cliTimeouts: createMetric(
+    "aicli_cli_timeouts_total",
+    "counter",
+    "CLI executions stopped by their run (timeout) or idle (idle_timeout) limit, by kind"
+  ),
+  cliExitErrors: createMetric(
+    "aicli_cli_exit_errors_total",
+    "counter",
+    "CLI executions that exited with a non-zero code"
+  ),
+  fallbacks: createMetric(
+    "aicli_fallbacks_total",
+    "counter",
+    "Fallbacks from one CLI to the other"
+  ),
+  cacheLookups: createMetric(
+    "aicli_cache_lookups_total",
+    "counter",
+    "Response cache lookups by result"
+  ),
+};
+
+/**
+ * Render a label set in Prometheus syntax
+ */
+function formatLabels(labels) {
+  return Object.entries(labels)
+    .map(([key, value]) => {
+      const escaped = String(value)
+        .replace(/\\/g, "\\\\")
+        .replace(/\n/g, "\\n")
+        .replace(/"/g, '\\"');
+      return `${key}="${escaped}"`;
+    })
+    .join(",");
+}
+
+/**
+ * Increment a counter
+ */
+function incrementMetric(metric, labels, value = 1) {
+  const key = formatLabels(labels);
+  metric.series.set(key, (metric.series.get(key) || 0) + value);
+}
+
+/**
+ * Record a value in a histogram
+ */
+function observeMetric(metric, labels, value) {
+  const key = formatLabels(labels);
+  let series = metric.series.get(key);
+  if (!series) {
+    series = { buckets: DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 };
+    metric.series.set(key, series);
+  }
+  DURATION_BUCKETS.forEach((bound, i) => {
+    if (value <= bound) series.buckets[i]++;
+  });
+  series.sum += value;
+  series.count++;
+}
+
+/**
+ * Start timing a CLI execution. The outcome is logged with its duration.
+ * @returns {Function} Call once with the outcome ('success', 'timeout',
+ *   'idle_timeout', 'output_limit', 'exit_error', 'spawn_error' or
+ *   'cancelled') and, for exit errors, the code
+ */
+function startCLIExecution(cli, model) {
+  const startedAt = process.hrtime.bigint();
+  let recorded = false;
+  setLogContext(cli, model);
+
+  return (outcome, exitCode) => {
+    if (recorded) return;
+    recorded = true;
+
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    log(outcome === "success" ? "info" : "warn", "CLI execution finished", {
+      cli,
+      model,
+      outcome,
+      exitCode,
+      durationMs: Math.round(seconds * 1000),
+    });
+    incrementMetric(metrics.cliExecutions, {
+      cli,
+      model: getModelLabel(model),
+      outcome,
+    });
+    observeMetric(metrics.cliDuration, { cli }, seconds);
+
+    if (outcome === "timeout" || outcome === "idle_timeout") {
+      incrementMetric(metrics.cliTimeouts, { cli, kind: outcome });
+    } else if (outcome === "exit_error") {
+      incrementMetric(metrics.cliExitErrors, {
+        cli,
+        code: exitCode === null ? "signal" : exitCode,
+      });
+    }
+  };
+}
+
+/**
+ * Count a fallback from one CLI to the other
+ */
+function recordFallback(from, to) {
+  incrementMetric(metrics.fallbacks, { from, to });
+}
+
+/**
+ * Metric label for a model: the listed, default and policy-allowed models
+ * keep their name, anything else a caller sends is "other" so labels stay
+ * bounded
+ */
+function getModelLabel(model) {
+  if (!model) return "";
+  const known = [
+    ...Object.values(OPENAI_MODELS).flat(),
+    ...[...providers.values()].map((provider) => provider.defaultModel),
+    ...((policy && policy.allowedModels) || []),
+  ];
+  return known.includes(model) ? model : "other";
+}
+
+/**
+ * Count finished HTTP requests by route, status, and the CLI and model the
+ * caller asked for
+ */
+function trackRequestMetrics(req, res, next) {
+  res.on("finish", () => {
+    const body = req.body || {};
+    incrementMetric(metrics.httpRequests, {
+      route: req.route ? req.baseUrl + req.route.path : "unmatched",
+      method: req.method,
+      status: res.statusCode,
+      cli: providers.has(body.cli) ? body.cli : "",
+      model: getModelLabel(body.model),
+    });
+  });
+  next();
+}
+
+/**
+ * Render all metrics in the Prometheus text exposition format
+ */
+function renderMetrics() {
+  const lines = [];
+
+  for (const metric of Object.values(metrics)) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+    for (const [labels, value] of metric.series) {
+      if (metric.type !== "histogram") {
+        lines.push(`${metric.name}{${labels}} ${value}`);
+        continue;
+      }
+      const prefix = labels ? `${labels},` : "";
+      DURATION_BUCKETS.forEach((bound, i) => {
+        lines.push(
+          `${metric.name}_bucket{${prefix}le="${bound}"} ${value.buckets[i]}`
+        );
+      });
+      lines.push(`${metric.name}_bucket{${prefix}le="+Inf"} ${value.count}`);
+      lines.push(`${metric.name}_sum{${labels}} ${value.sum}`);
+      lines.push(`${metric.name}_count{${labels}} ${value.count}`);
+    }
+  }
+
+  const gauges = [
+    ["aicli_pool_running", "CLI process slots in use", "running"],
+    ["aicli_pool_queue_length", "Requests waiting for a CLI process", "queued"],
+  ];
+  for (const [name, help, field] of gauges) {
+    lines.push(`# HELP ${name} ${help}`);
+    lines.push(`# TYPE ${name} gauge`);
+    for (const [cli, pool] of Object.entries(getPoolStats())) {
+      lines.push(`${name}{cli="${cli}"} ${pool[field]}`);
+    }
+  }
+
+  // Every supervised process, including version checks and processes that
+  // outlived their slot while being stopped
+  lines.push("# HELP aicli_child_processes Running CLI child processes");
+  lines.push("# TYPE aicli_child_processes gauge");
+  lines.push(`aicli_child_processes ${childProcesses.size}`);
+
+  lines.push(
+    "# HELP aicli_circuit_breaker_open State of a CLI's circuit breaker: 0 closed, 0.5 half-open, 1 open"
+  );
+  lines.push("# TYPE aicli_circuit_breaker_open gauge");
+  for (const [cli, breaker] of Object.entries(getBreakerStates())) {
+    const value = { closed: 0, half_open: 0.5, open: 1 }[breaker.state];
+    lines.push(`aicli_circuit_breaker_open{cli="${cli}"} ${value}`);
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+// ===========================
+// READINESS
+// ===========================
+
+/**
+ * Environment variables and credential files that show a CLI is signed in.
+ * Files are relative to the home directory.
+ */
+const CLI_CREDENTIALS = {
+  claude: {
+    env: [
+      "ANTHROPIC_API_KEY",
+      "CLAUDE_CODE_OAUTH_TOKEN",
+      "CLAUDE_CODE_USE_BEDROCK",
+      "CLAUDE_CODE_USE_VERTEX",
+    ],
+    files: [".claude/.credentials.json"],
+  },
+  gemini: {
+    env: [
+      "GEMINI_API_KEY",
+      "GOOGLE_API_KEY",
+      "GOOGLE_GENAI_USE_VERTEXAI",
+      "GOOGLE_APPLICATION_CREDENTIALS",
+    ],
+    files: [".gemini/oauth_creds.json"],
+  },
+};
+
+let readinessCache = null; // { result, checkedAt } or { pending }
+
+/**
+ * Run the provider's version command (`<command> --version` unless the
+ * provider sets versionArgs)
+ * @returns {Promise<string>} The version string
+ */
+function getCLIVersion(cli) {
+  return new Promise((resolve, reject) => {
+    const { command, versionArgs = ["--version"] } = providers.get(cli);
+    const proc = superviseProcess(command, versionArgs, {
+      timeout: CONFIG.READINESS_TIMEOUT,
+      collectOutput: true,
+    });
+
+    proc.child.on("error", (error) => reject(error));
+
+    proc.child.on("close", (code) => {
+      if (proc.child.pid === undefined) return; // Rejected by the error handler
+      if (proc.failure) return reject(proc.failure);
+      if (code !== 0) {
+        return reject(
+          new Error(`${cli} version check exited with code ${code}`)
+        );
+      }
+      resolve(proc.stdout.trim());
+    });
+  });
+}
+
+/**
+ * Find how a CLI is authenticated without calling a model
+ * @returns {{configured: boolean, source: string|null}}
+ */
+function checkCLICredentials(cli) {
+  // Command providers handle their own authentication
+  if (!CLI_CREDENTIALS[cli]) {
+    return { configured: true, source: null };
+  }
+
+  const { env, files } = CLI_CREDENTIALS[cli];
+
+  const envVar = env.find((name) => process.env[name]);
+  if (envVar) {
+    return { configured: true, source: envVar };
+  }
+
+  const file = files.find((name) =>
+    fs.existsSync(path.join(os.homedir(), name))
+  );
+  if (file) {
+    return { configured: true, source: `~/${file}` };
+  }
+
+  return { configured: false, source: null };
+}
+
+/**
+ * Check that a CLI is installed and has credentials
+ */
+async function checkCLIReadiness(cli) {
+  const status = {
+    installed: false,
+    version: null,
+    credentials: checkCLICredentials(cli),
+  };
+
+  try {
+    status.version = await getCLIVersion(cli);
+    status.installed = true;
+  } catch (error) {
+    status.error =
+      error.code === "ENOENT" ? `${cli} not found on PATH` : error.message;
+  }
+
+  status.ready = status.installed && status.credentials.configured;
+  return status;
+}
+
+/**
+ * Check every provider. Results are cached for READINESS_CACHE_TTL and
+ * concurrent callers share one check.
+ */
+async function getReadiness() {
+  if (readinessCache && readinessCache.pending) {
+    return readinessCache.pending;
+  }
+  if (
+    readinessCache &&
+    Date.now() - readinessCache.checkedAt < CONFIG.READINESS_CACHE_TTL
+  ) {
+    return readinessCache.result;
+  }
+
+  const pending = (async () => {
+    const names = [...providers.keys()];
+    const statuses = await Promise.all(names.map(checkCLIReadiness));
+    const clis = Object.fromEntries(
+      names.map((name, i) => [name, statuses[i]])
+    );
+
+    return {
+      ready: Boolean(
+        clis[CONFIG.DEFAULT_CLI] && clis[CONFIG.DEFAULT_CLI].ready
+      ),
+      defaultCLI: CONFIG.DEFAULT_CLI,
+      checkedAt: new Date().toISOString(),
+      clis,
+    };
+  })();
+
+  readinessCache = { pending };
+  try {
+    const result = await pending;
+    readinessCache = { result, checkedAt: Date.now() };
+    return result;
+  } catch (error) {
+    readinessCache = null;
+    throw error;
+  }
+}
+
+// ===========================
+// USAGE LEDGER
+// ===========================
+
+// Daily totals per caller, CLI and model. The ledger file keeps every
+// record; memory only grows with the number of distinct days and callers.
+const usageTotals = new Map(); // "day|user|cli|model" -> totals
+const USAGE_GROUPS = ["user", "cli", "model", "day"];
+
+/**
+ * Identify the caller for usage records: the admin key, an API key (by
+ * name, or id when unnamed), a Basic auth user, or "anonymous"
+ */
+function getCallerIdentity(req) {
+  const token = getRequestToken(req);
+  if (token && isAdminToken(token)) return "admin";
+
+  const key = resolveApiKey(req);
+  if (key) return `key:${key.name || key.id}`;
+
+  if (req.auth && req.auth.user) return `user:${req.auth.user}`;
+  return "anonymous";
+}
+
+/**
+ * Remember the authenticated caller for the rest of the request
+ */
+function setCaller(req) {
+  const context = requestContext.getStore();
+  if (context) context.user = getCallerIdentity(req);
+}
+
+/**
+ * Add a usage record to the daily totals
+ */
+function addUsageTotals(record) {
+  const day = record.timestamp.slice(0, 10);
+  const key = [day, record.user, record.cli, record.model].join("|");
+  let totals = usageTotals.get(key);
+  if (!totals) {
+    totals = {
+      day,
+      user: record.user,
+      cli: record.cli,
+      model: record.model,
+      requests: 0,
+      inputTokens: 0,
+      outputTokens: 0,
+      costUsd: 0,
+    };
+    usageTotals.set(key, totals);
+  }
+  totals.requests++;
+  totals.inputTokens += record.inputTokens || 0;
+  totals.outputTokens += record.outputTokens || 0;
+  totals.costUsd += record.costUsd || 0;
+}
+
+/**
+ * Load the daily totals from the ledger file (one JSON record per line),
+ * reading it in chunks so a large ledger is never held in memory
+ */
+function loadUsage() {
+  try {
+    const file = path.resolve(CONFIG.USAGE_FILE);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    if (!fs.existsSync(file)) return;
+
+    let count = 0;
+    const parser = createLineParser((line) => {
+      try {
+        addUsageTotals(JSON.parse(line));
+        count++;
+      } catch (e) {
+        // Skip a partially written last line
+      }
+    });
+    const decoder = new StringDecoder("utf8");
+    const buffer = Buffer.alloc(1024 * 1024);
+    const fd = fs.openSync(file, "r");
+    try {
+      let bytesRead;
+      while ((bytesRead = fs.readSync(fd, buffer)) > 0) {
+        parser.push(decoder.write(buffer.subarray(0, bytesRead)));
+      }
+      parser.push(decoder.end());
+      parser.flush();
+    } finally {
+      fs.closeSync(fd);
+    }
+    logger.info("Loaded usage records", { count });
+  } catch (error) {
+    logger.error("Failed to load usage records", { error: error.message });
+  }
+}
+
+/**
+ * Append a usage record for a finished CLI run to the ledger
+ * @param {string} cli - CLI that handled the run
+ * @param {string} model - Model passed to the CLI
+ * @param {Object} parsed - Parsed JSON output or stream-json result event
+ */
+function recordUsage(cli, model, parsed) {
+  const context = requestContext.getStore() || {};
+  const usage = extractUsage(parsed, cli);
+  const record = {
+    timestamp: new Date().toISOString(),
+    requestId: context.requestId || null,
+    user: context.user || "anonymous",
+    cli,
+    model,
+    inputTokens: usage.inputTokens,
+    outputTokens: usage.outputTokens,
+    costUsd: usage.costUsd,
+  };
+
+  addUsageTotals(record);
+  fs.appendFile(
+    path.resolve(CONFIG.USAGE_FILE),
+    JSON.stringify(record) + "\n",
+    (error) => {
+      if (error) {
+        logger.error("Failed to write usage record", { error: error.message });
+      }
+    }
+  );
+}
+
+/**
+ * Parse a from/to query value into a UTC day (YYYY-MM-DD). Usage is kept
+ * per day, so a timestamp selects its whole day.
+ * @returns {string|null|undefined} Undefined when the value is invalid
+ */
+function parseUsageDay(value) {
+  if (!value) return null;
+  const date = new Date(
+    /^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00.000Z` : value
+  );
+  return isNaN(date.getTime()) ? undefined : date.toISOString().slice(0, 10);
+}
+
+/**
+ * Validate GET /api/usage query parameters
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateUsageQuery(query) {
+  if (query.cli && !providers.has(query.cli)) {
+    return `cli must be one of: ${[...providers.keys()].join(", ")}`;
+  }
+  if (query.groupBy && !USAGE_GROUPS.includes(query.groupBy)) {
+    return `groupBy must be one of: ${USAGE_GROUPS.join(", ")}`;
+  }
+  if (parseUsageDay(query.from) === undefined) {
+    return "from must be a date (YYYY-MM-DD) or ISO timestamp";
+  }
+  if (parseUsageDay(query.to) === undefined) {
+    return "to must be a date (YYYY-MM-DD) or ISO timestamp";
+  }
+  return null;
+}
+
+/**
+ * Sum usage records matching the filters, grouped by user, cli, model or day
+ */
+function aggregateUsage({ user, cli, from, to, groupBy = "user" }) {
+  const fromDay = parseUsageDay(from);
+  const toDay = parseUsageDay(to);
+  const emptyTotals = () => ({
+    requests: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    costUsd: 0,
+  });
+  const add = (totals, entry) => {
+    totals.requests += entry.requests;
+    totals.inputTokens += entry.inputTokens;
+    totals.outputTokens += entry.outputTokens;
+    totals.costUsd += entry.costUsd;
+  };
+
+  const totals = emptyTotals();
+  const groups = new Map();
+
+  for (const entry of usageTotals.values()) {
+    if (user && entry.user !== user) continue;
+    if (cli && entry.cli !== cli) continue;
+    if (fromDay && entry.day < fromDay) continue;
+    if (toDay && entry.day > toDay) continue;
+
+    const key = entry[groupBy];
+    if (!groups.has(key)) groups.set(key, emptyTotals());
+    add(groups.get(key), entry);
+    add(totals, entry);
+  }
+
+  const roundCost = (entry) => ({
+    ...entry,
+    costUsd: Math.round(entry.costUsd * 1e6) / 1e6,
+  });
+
+  return {
+    filters: {
+      user: user || null,
+      cli: cli || null,
+      from: from || null,
+      to: to || null,
+    },
+    groupBy,
+    totals: roundCost(totals),
+    groups: Array.from(groups.entries())
+      .sort(([a], [b]) => String(a).localeCompare(String(b)))
+      .map(([key, entry]) => ({ [groupBy]: key, ...roundCost(entry) })),
+  };
+}
+
+// ===========================
+// RESPONSE CACHE
+// ===========================
+
+const responseCache = new Map(); // key -> { value, expiresAt }, oldest first
+const diskCacheIndex = new Map(); // key -> file size, least recently used first
+let diskCacheBytes = 0;
+
+// Options that make a run depend on more than its prompt
+const CACHE_BYPASS_OPTIONS = [
+  "sessionId",
+  "continueSession",
+  "resumeSession",
+  "allowedTools",
+  "disallowedTools",
+  "dangerouslySkipPermissions",
+  "mcpConfig",
+  "settings",
+  "files",
+  "attachments",
+  "responseSchema",
+];
+
+/**
+ * Build the cache key for a request, or null when the request must not be
+ * cached (cache disabled, `cache: false`, or sessions, tools, files or
+ * attachments used)
+ * @param {string} [cli] - Provider the answer comes from, by default the
+ *   one the request runs on first
+ */
+function getCacheKey(options, cli = getRequestCLI(options)) {
+  if (!CONFIG.CACHE_ENABLED || options.cache === false) return null;
+
+  const bypass = CACHE_BYPASS_OPTIONS.some((name) => {
+    const value = options[name];
+    return Array.isArray(value) ? value.length > 0 : Boolean(value);
+  });
+  if (bypass) return null;
+
+  const normalized = {
+    cli,
+    model: options.model || getDefaultModel(cli),
+    prompt: options.prompt.trim(),
+    systemPrompt: (options.systemPrompt || "").trim(),
+    appendSystemPrompt: (options.appendSystemPrompt || "").trim(),
+    outputFormat: options.outputFormat || "json",
+  };
+
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(normalized))
+    .digest("hex");
+}
+
+/**
+ * Path of the on-disk entry for a cache key
+ */
+function getCacheFile(key) {
+  return path.join(path.resolve(CONFIG.CACHE_DIR), `${key}.json`);
+}
+
+/**
+ * Store an entry in memory, evicting the least recently used entries
+ */
+function rememberCacheEntry(key, entry) {
+  responseCache.delete(key);
+  responseCache.set(key, entry);
+  while (responseCache.size > CONFIG.CACHE_MAX_ENTRIES) {
+    responseCache.delete(responseCache.keys().next().value);
+  }
+}
+
+/**
+ * Record an entry written to CACHE_DIR as the most recently used one
+ */
+function trackDiskCacheEntry(key, size) {
+  forgetDiskCacheEntry(key);
+  diskCacheIndex.set(key, size);
+  diskCacheBytes += size;
+}
+
+/**
+ * Drop an entry from the CACHE_DIR index
+ */
+function forgetDiskCacheEntry(key) {
+  if (!diskCacheIndex.has(key)) return;
+  diskCacheBytes -= diskCacheIndex.get(key);
+  diskCacheIndex.delete(key);
+}
+
+/**
+ * Delete the least recently used files in CACHE_DIR until it is within
+ * CACHE_DIR_MAX_ENTRIES and CACHE_DIR_MAX_SIZE
+ */
+async function evictDiskCache() {
+  while (
+    diskCacheIndex.size > CONFIG.CACHE_DIR_MAX_ENTRIES ||
+    diskCacheBytes > CONFIG.CACHE_DIR_MAX_SIZE
+  ) {
+    const key = diskCacheIndex.keys().next().value;
+    forgetDiskCacheEntry(key);
+    await fs.promises.rm(getCacheFile(key), { force: true }).catch(() => {});
+  }
+}
+
+/**
+ * Index the entries already in CACHE_DIR, oldest first, and trim it to the
+ * configured limits
+ */
+async function loadDiskCache() {
+  if (!CONFIG.CACHE_ENABLED || !CONFIG.CACHE_DIR) return;
+  try {
+    const dir = path.resolve(CONFIG.CACHE_DIR);
+    const entries = [];
+    for (const file of await fs.promises.readdir(dir)) {
+      if (!file.endsWith(".json")) continue;
+      const stat = await fs.promises.stat(path.join(dir, file));
+      entries.push({
+        key: file.slice(0, -5),
+        size: stat.size,
+        mtime: stat.mtimeMs,
+      });
+    }
+    entries.sort((a, b) => a.mtime - b.mtime);
+    for (const { key, size } of entries) trackDiskCacheEntry(key, size);
+    await evictDiskCache();
+    logger.info("Loaded cache entries", {
+      count: diskCacheIndex.size,
+      bytes: diskCacheBytes,
+    });
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      logger.error("Failed to load cache entries", { error: error.message });
+    }
+  }
+}
+
+/**
+ * Look up a cached result in memory, then on disk
+ * @returns {Promise<Object|null>}
+ */
+async function getCachedResponse(key) {
+  let entry = responseCache.get(key);
+
+  if (!entry && CONFIG.CACHE_DIR) {
+    try {
+      entry = JSON.parse(await fs.promises.readFile(getCacheFile(key), "utf8"));
+    } catch (e) {
+      entry = null;
+    }
+  }
+
+  if (!entry) return null;
+
+  if (entry.expiresAt <= Date.now()) {
+    responseCache.delete(key);
+    if (CONFIG.CACHE_DIR) {
+      forgetDiskCacheEntry(key);
+      fs.promises.rm(getCacheFile(key), { force: true }).catch(() => {});
+    }
+    return null;
+  }
+
+  rememberCacheEntry(key, entry);
+  if (diskCacheIndex.has(key)) {
+    trackDiskCacheEntry(key, diskCacheIndex.get(key));
+  }
+  return entry.value;
+}
+
+/**
+ * Store a result in memory and, when CACHE_DIR is set, on disk
+ */
+async function setCachedResponse(key, value) {
+  const entry = { value, expiresAt: Date.now() + CONFIG.CACHE_TTL };
+  rememberCacheEntry(key, entry);
+
+  if (CONFIG.CACHE_DIR) {
+    try {
+      await fs.promises.mkdir(path.resolve(CONFIG.CACHE_DIR), {
+        recursive: true,
+      });
+      const data = JSON.stringify(entry);
+      await fs.promises.writeFile(getCacheFile(key), data);
+      trackDiskCacheEntry(key, Buffer.byteLength(data));
+      await evictDiskCache();
+    } catch (error) {
+      logger.error("Failed to write cache entry", { error: error.message });
+    }
+  }
+}
+
+/**
+ * Remove every cached response
+ * @returns {Promise<number>} Number of entries removed
+ */
+async function purgeResponseCache() {
+  const keys = new Set(responseCache.keys());
+  responseCache.clear();
+  diskCacheIndex.clear();
+  diskCacheBytes = 0;
+
+  if (CONFIG.CACHE_DIR) {
+    try {
+      const dir = path.resolve(CONFIG.CACHE_DIR);
+      for (const file of await fs.promises.readdir(dir)) {
+        if (!file.endsWith(".json")) continue;
+        await fs.promises.rm(path.join(dir, file), { force: true });
+        keys.add(file.slice(0, -5));
+      }
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+  }
+
+  return keys.size;
+}
+
+/**
+ * Execute through the response cache. The result's `cache` field is "hit",
+ * "miss" or "bypass".
+ */
+async function executeAICLIWithCache(options) {
+  const key = getCacheKey(options);
+  if (!key) {
+    return { ...(await executeAICLI(options)), cache: "bypass" };
+  }
+
+  const cached = await getCachedResponse(key);
+  if (cached) {
+    incrementMetric(metrics.cacheLookups, { result: "hit" });
+    return { ...cached, cache: "hit" };
+  }
+
+  incrementMetric(metrics.cacheLookups, { result: "miss" });
+  const result = await executeAICLI(options);
+  // After a fallback the answer is stored for the provider that gave it,
+  // so it is never served as the requested provider's answer
+  await setCachedResponse(
+    result.usedCLI === getRequestCLI(options)
+      ? key
+      : getCacheKey(options, result.usedCLI),
+    result
+  );
+  return { ...result, cache: "miss" };
+}
+
+// ===========================
+// STRUCTURED OUTPUT
+// ===========================
+
+/**
+ * Compile a JSON Schema. A fresh Ajv instance is used for each schema so
+ * request schemas are not kept in Ajv's cache.
+ * @throws {Error} When the schema is invalid
+ */
+function compileResponseSchema(schema) {
+  return new Ajv({ allErrors: true, strict: false }).compile(schema);
+}
+
+/**
+ * System prompt text telling the model to answer with JSON for a schema
+ */
+function buildSchemaInstruction(schema) {
+  return [
+    "Respond with a single JSON value that validates against the JSON Schema below.",
+    "Output only the JSON, with no explanation and no Markdown code fences.",
+    "",
+    JSON.stringify(schema, null, 2),
+  ].join("\n");
+}
+
+/**
+ * Pull a JSON value out of model text. Accepts bare JSON, a fenced code
+ * block, or JSON surrounded by other text.
+ * @throws {Error} When no JSON can be parsed
+ */
+function extractJSON(text) {
+  const trimmed = text.trim();
+  const candidates = [trimmed];
+
+  const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) candidates.push(fenced[1].trim());
+
+  for (const [open, close] of [
+    ["{", "}"],
+    ["[", "]"],
+  ]) {
+    const start = trimmed.indexOf(open);
+    const end = trimmed.lastIndexOf(close);
+    if (start !== -1 && end > start) {
+      candidates.push(trimmed.slice(start, end + 1));
+    }
+  }
+
+  for (const candidate of candidates) {
+    try {
+      return JSON.parse(candidate);
+    } catch (e) {
+      // Try the next candidate
+    }
+  }
+  throw new Error("Response does not contain valid JSON");
+}
+
+/**
+ * Format Ajv errors as readable strings
+ */
+function formatSchemaErrors(errors) {
+  return (errors || []).map(
+    (error) => `${error.instancePath || "(root)"} ${error.message}`
+  );
+}
+
+/**
+ * Run a request whose answer must match body.responseSchema. The schema is
+ * added to the system prompt, and the model is re-prompted with the
+ * validation errors up to SCHEMA_MAX_RETRIES times.
+ * @returns {Promise<Object>} The CLI result plus `structuredOutput` and
+ *   `schemaAttempts`
+ * @throws {Error} 422 error with `validationErrors` when no attempt matched
+ */
+async function executeStructured(options) {
+  const validate = compileResponseSchema(options.responseSchema);
+  const instruction = buildSchemaInstruction(options.responseSchema);
+  const baseOptions = {
+    ...options,
+    outputFormat: "json",
+    appendSystemPrompt: [options.appendSystemPrompt, instruction]
+      .filter(Boolean)
+      .join("\n\n"),
+  };
+
+  let prompt = options.prompt;
+  let errors = [];
+  let text = "";
+
+  for (let attempt = 1; attempt <= CONFIG.SCHEMA_MAX_RETRIES + 1; attempt++) {
+    const result = await executeAICLI({
+      ...baseOptions,
+      prompt,
+      // A retry is a new conversation, so it cannot reuse the session id
+      sessionId: attempt === 1 ? options.sessionId : undefined,
+    });
+    text = extractResultText(
+      parseOutput(result.stdout, "json"),
+      result.usedCLI
+    );
+
+    try {
+      const value = extractJSON(text);
+      if (validate(value)) {
+        return { ...result, structuredOutput: value, schemaAttempts: attempt };
+      }
+      errors = formatSchemaErrors(validate.errors);
+    } catch (error) {
+      errors = [error.message];
+    }
+
+    logger.warn("Response did not match schema", { attempt, errors });
+    prompt = [
+      options.prompt,
+      "Your previous response was:",
+      text,
+      `It did not match the required JSON Schema:\n- ${errors.join("\n- ")}`,
+      "Respond again with only JSON that matches the schema.",
+    ].join("\n\n");
+  }
+
+  const error = createAPIError(
+    "schema_mismatch",
+    `Response did not match responseSchema after ${
+      CONFIG.SCHEMA_MAX_RETRIES + 1
+    } attempts`
+  );
+  error.validationErrors = errors;
+  error.lastResponse = text;
+  throw error;
+}
+
+// ===========================
+// JOB QUEUE
+// ===========================
+
+const jobs = new Map();
+const jobQueue = [];
+const runningJobs = new Map(); // job id -> AbortController
+
+/**
+ * Persist all jobs to the jobs file
+ */
+function saveJobs() {
+  try {
+    writeJSONFile(CONFIG.JOBS_FILE, Array.from(jobs.values()));
+  } catch (error) {
+    logger.error("Failed to save jobs", { error: error.message });
+  }
+}
+
+/**
+ * Load jobs from the jobs file. Jobs that were queued or running when the
+ * server stopped are queued again.
+ */
+function loadJobs() {
+  try {
+    const stored = readJSONFile(CONFIG.JOBS_FILE, []);
+    for (const job of stored) {
+      // Jobs files written before callback secrets were encrypted
+      if (job.callback && job.callback.secret) {
+        job.callback.sealedSecret = sealCallbackSecret(job.callback.secret);
+        delete job.callback.secret;
+      }
+      if (job.status === "queued" || job.status === "running") {
+        job.status = "queued";
+        job.startedAt = null;
+        jobQueue.push(job.id);
+      }
+      jobs.set(job.id, job);
+    }
+    logger.info("Loaded jobs", {
+      count: jobs.size,
+      requeued: jobQueue.length,
+    });
+
+    // Resume webhook deliveries that were still pending
+    for (const job of jobs.values()) {
+      if (
+        job.callback &&
+        job.callback.status === "pending" &&
+        job.completedAt
+      ) {
+        deliverWebhook(job);
+      }
+    }
+  } catch (error) {
+    logger.error("Failed to load jobs", { error: error.message });
+  }
+}
+
+/**
+ * Drop finished jobs older than JOB_RETENTION
+ */
+function pruneJobs() {
+  const cutoff = Date.now() - CONFIG.JOB_RETENTION;
+  for (const [id, job] of jobs) {
+    if (job.completedAt && new Date(job.completedAt).getTime() < cutoff) {
+      jobs.delete(id);
+    }
+  }
+}
+
+/**
+ * Public view of a job, optionally without request and result payloads
+ */
+function serializeJob(job, includeDetails = true) {
+  const { request, result, callback, ...summary } = job;
+  if (callback) {
+    const { sealedSecret, deliveries, ...callbackSummary } = callback;
+    summary.callback = includeDetails
+      ? { ...callbackSummary, deliveries }
+      : callbackSummary;
+  }
+  if (!includeDetails) {
+    return { ...summary, cli: getRequestCLI(request) };
+  }
+  return { ...summary, request, result };
+}
+
+/**
+ * Add a request to the job queue
+ * @param {Object} request - /api/process or /api/batch request body
+ * @param {string} [type] - 'process' or 'batch'
+ * @param {Object} [callback] - Webhook to notify on completion ({url, secret})
+ * @returns {Object} The created job
+ */
+function enqueueJob(request, type = "process", callback = null) {
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    status: "queued",
+    requestId: (requestContext.getStore() || {}).requestId,
+    user: (requestContext.getStore() || {}).user || "anonymous",
+    route: (requestContext.getStore() || {}).route,
+    request,
+    callback: callback
+      ? { ...callback, status: "pending", deliveries: [] }
+      : undefined,
+    result: null,
+    error: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    completedAt: null,
+  };
+
+  jobs.set(job.id, job);
+  jobQueue.push(job.id);
+  pruneJobs();
+  saveJobs();
+  processJobQueue();
+
+  return job;
+}
+
+/**
+ * Start queued jobs until JOB_CONCURRENCY jobs are running
+ */
+function processJobQueue() {
+  if (shuttingDown) return; // Queued jobs are picked up again after restart
+  while (runningJobs.size < CONFIG.JOB_CONCURRENCY && jobQueue.length > 0) {
+    const job = jobs.get(jobQueue.shift());
+    if (job && job.status === "queued") {
+      requestContext.run(
+        {
+          requestId: job.requestId || job.id,
+          user: job.user,
+          route: job.route,
+        },
+        () => runJob(job)
+      );
+    }
+  }
+}
+
+/**
+ * Run a single job through executeAICLI
+ */
+async function runJob(job) {
+  const controller = new AbortController();
+  runningJobs.set(job.id, controller);
+
+  job.status = "running";
+  job.startedAt = new Date().toISOString();
+  saveJobs();
+  logger.info("Running job", { jobId: job.id });
+
+  try {
+    if (job.type === "batch") {
+      job.result = await runBatch(job.request, controller.signal);
+    } else {
+      const options = { ...job.request, signal: controller.signal };
+      const result = job.request.responseSchema
+        ? await executeStructured(options)
+        : await executeAICLIWithCache(options);
+      job.result = buildProcessResponse(job.request, result);
+    }
+    job.status = "completed";
+  } catch (error) {
+    if (controller.signal.aborted) {
+      job.status = "cancelled";
+    } else if (error.kind === "shutdown") {
+      job.status = "queued"; // loadJobs runs it again after the restart
+    } else {
+      const { message, code, retryable } = describeError(error);
+      job.status = "failed";
+      job.error = message;
+      job.errorCode = code;
+      job.retryable = retryable;
+    }
+  } finally {
+    runningJobs.delete(job.id);
+    if (job.status === "queued") {
+      job.startedAt = null;
+      saveJobs();
+      logger.info("Job interrupted by shutdown", { jobId: job.id });
+    } else {
+      job.completedAt = new Date().toISOString();
+      saveJobs();
+      logger.info("Job finished", { jobId: job.id, status: job.status });
+      if (job.callback) deliverWebhook(job);
+      processJobQueue();
+    }
+  }
+}
+
+/**
+ * Cancel a queued or running job
+ * @returns {boolean} false if the job had already finished
+ */
+function cancelJob(job) {
+  if (job.status === "queued") {
+    const index = jobQueue.indexOf(job.id);
+    if (index !== -1) jobQueue.splice(index, 1);
+    job.status = "cancelled";
+    job.completedAt = new Date().toISOString();
+    saveJobs();
+    if (job.callback) deliverWebhook(job);
+    return true;
+  }
+
+  if (job.status === "running") {
+    runningJobs.get(job.id).abort();
+    return true;
+  }
+
+  return false;
+}
+
+// ===========================
+// SESSIONS
+// ===========================
+
+const sessions = new Map();
+const busySessions = new Set();
+
+/**
+ * Persist all sessions to the sessions file
+ */
+function saveSessions() {
+  try {
+    writeJSONFile(CONFIG.SESSIONS_FILE, Array.from(sessions.values()));
+  } catch (error) {
+    logger.error("Failed to save sessions", { error: error.message });
+  }
+}
+
+/**
+ * Load sessions from the sessions file
+ */
+function loadSessions() {
+  try {
+    for (const session of readJSONFile(CONFIG.SESSIONS_FILE, [])) {
+      // Sessions saved before they had owners
+      session.user = session.user || "anonymous";
+      sessions.set(session.id, session);
+    }
+    logger.info("Loaded sessions", { count: sessions.size });
+  } catch (error) {
+    logger.error("Failed to load sessions", { error: error.message });
+  }
+}
+
+/**
+ * Create a new server-managed session, owned by the current caller
+ * @param {Object} body - cli, model and systemPrompt for the session
+ */
+function createSession(body) {
+  const { model, systemPrompt } = body;
+  const now = new Date().toISOString();
+  const id = crypto.randomUUID();
+  const session = {
+    id,
+    user: (requestContext.getStore() || {}).user || "anonymous",
+    cli: getRequestCLI(body),
+    model: model || null,
+    systemPrompt: systemPrompt || null,
+    nativeSessionId: null,
+    workspaceDir: path.join(CONFIG.WORKSPACE_ROOT, "sessions", id),
+    transcript: [],
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  sessions.set(session.id, session);
+  saveSessions();
+  return session;
+}
+
+/**
+ * Run one turn of a session on a specific CLI.
+ * Claude resumes its native session while it owns the conversation; any
+ * other case replays the transcript and, for Claude, starts a new native
+ * session from it. The CLI runs in the session's persistent workspace.
+ */
+async function runSessionTurn(session, cli, prompt) {
+  if (session.workspaceDir) {
+    await fs.promises.mkdir(session.workspaceDir, { recursive: true });
+  }
+
+  const options = {
+    outputFormat: "json",
+    systemPrompt: session.systemPrompt || undefined,
+    model: cli === session.cli ? session.model || undefined : undefined,
+    disableFallback: true,
+    cwd: session.workspaceDir,
+  };
+  let newSessionId = null;
+
+  if (cli === "claude" && session.cli === "claude" && session.nativeSessionId) {
+    options.prompt = prompt;
+    options.resumeSession = session.nativeSessionId;
+  } else {
+    options.prompt = messagesToPrompt([
+      ...session.transcript,
+      { role: "user", content: prompt },
+    ]).prompt;
+    if (cli === "claude") {
+      newSessionId = crypto.randomUUID();
+      options.sessionId = newSessionId;
+    }
+  }
+
+  const result = await executeAICLI(options, cli);
+  const parsed = parseOutput(result.stdout, "json");
+
+  if (cli === "claude") {
+    session.nativeSessionId =
+      (parsed && parsed.session_id) || newSessionId || session.nativeSessionId;
+  } else {
+    session.nativeSessionId = null;
+  }
+
+  return { result, parsed };
+}
+
+/**
+ * Send a user message to a session, moving it to the other CLI if the
+ * owning CLI fails and fallback is enabled
+ * @param {Object} [routing] - disableFallback and allowedCLIs of the request
+ */
+async function sendSessionMessage(session, prompt, routing = {}) {
+  const ownerCLI = session.cli;
+  let turn;
+  let movedFrom = null;
+
+  try {
+    turn = await runSessionTurn(session, ownerCLI, prompt);
+  } catch (error) {
+    const fallbackCLI = resolveProviderChain(
+      {
+        disableFallback: routing.disableFallback,
+        allowedCLIs: routing.allowedCLIs,
+      },
+      ownerCLI
+    )[1];
+    if (!fallbackCLI || !shouldFallback(error, {})) throw error;
+
+    logger.warn("Moving session to other CLI", {
+      sessionId: session.id,
+      from: ownerCLI,
+      to: fallbackCLI,
+      reason: error.kind,
+    });
+    recordFallback(ownerCLI, fallbackCLI);
+    turn = await runSessionTurn(session, fallbackCLI, prompt);
+    movedFrom = ownerCLI;
+    session.cli = fallbackCLI;
+    session.model = null;
+  }
+
+  const text = extractResultText(turn.parsed, session.cli);
+  const timestamp = new Date().toISOString();
+  session.transcript.push(
+    { role: "user", content: prompt, timestamp },
+    { role: "assistant", content: text, cli: session.cli, timestamp }
+  );
+  session.updatedAt = timestamp;
+  saveSessions();
+
+  return {
+    sessionId: session.id,
+    response: text,
+    data: turn.parsed,
+    metadata: {
+      usedCLI: session.cli,
+      fallbackUsed: movedFrom !== null,
+      movedFrom: movedFrom || undefined,
+      messageCount: session.transcript.length,
+      timestamp,
+    },
+  };
+}
+
+/**
+ * Public view of a session
+ */
+function serializeSession(session, includeTranscript = true) {
+  const { transcript, workspaceDir, ...summary } = session;
+  return includeTranscript
+    ? { ...summary, transcript }
+    : { ...summary, messageCount: transcript.length };
+}
+
+// ===========================
+// WEBHOOKS
+// ===========================
+
+/**
+ * POST a JSON body to a URL
+ * @returns {Promise<number>} The response status code
+ */
+function postJSON(url, body, headers) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === "https:" ? https : http;
+    const blocked = getBlockedCallbackAddress(target.hostname);
+    if (blocked) {
+      return reject(new Error(`Callback address ${blocked} is not allowed`));
+    }
+
+    const request = client.request(
+      target,
+      {
+        method: "POST",
+        lookup: isAllowedCallbackHost(target.hostname)
+          ? undefined
+          : lookupPublicAddress,
+        headers: {
+          "Content-Type": "application/json",
+          "Content-Length": Buffer.byteLength(body),
+          ...headers,
+        },
+        timeout: CONFIG.WEBHOOK_TIMEOUT,
+      },
+      (response) => {
+        response.resume();
+        response.on("end", () => resolve(response.statusCode));
+      }
+    );
+
+    request.on("timeout", () => {
+      request.destroy(new Error("Webhook request timed out"));
+    });
+    request.on("error", reject);
+    request.end(body);
+  });
+}
+
+/**
+ * Address ranges callbacks may not reach: loopback, private networks,
+ * link-local (including cloud metadata), CGNAT and other reserved ranges
+ */
+const BLOCKED_CALLBACK_RANGES = new net.BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+]) {
+  BLOCKED_CALLBACK_RANGES.addSubnet(address, prefix, "ipv4");
+}
+for (const [address, prefix] of [
+  ["::", 127],
+  ["::ffff:0:0", 96],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  BLOCKED_CALLBACK_RANGES.addSubnet(address, prefix, "ipv6");
+}
+
+/**
+ * Check whether a callback host is listed in WEBHOOK_ALLOWED_HOSTS, which
+ * skips the address checks for trusted internal receivers
+ */
+function isAllowedCallbackHost(hostname) {
+  return CONFIG.WEBHOOK_ALLOWED_HOSTS.includes(
+    hostname.replace(/^\[|\]$/g, "").toLowerCase()
+  );
+}
+
+/**
+ * Check whether an IP address is in a blocked callback range
+ */
+function isBlockedCallbackAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return BLOCKED_CALLBACK_RANGES.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+/**
+ * Return the blocked address a callback host is an IP literal for, if any
+ */
+function getBlockedCallbackAddress(hostname) {
+  const address = hostname.replace(/^\[|\]$/g, "");
+  if (isAllowedCallbackHost(address)) return null;
+  return isBlockedCallbackAddress(address) ? address : null;
+}
+
+/**
+ * dns.lookup replacement for callback requests that refuses blocked
+ * addresses, so a host can't resolve somewhere else between the check at
+ * submission and the delivery
+ */
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = addresses.find(({ address }) =>
+      isBlockedCallbackAddress(address)
+    );
+    if (blocked) {
+      return callback(
+        new Error(`Callback address ${blocked.address} is not allowed`)
+      );
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Resolve a callback URL's host and reject it when it points at a blocked
+ * address range
+ * @returns {Promise<string|null>} An error message, or null when allowed
+ */
+async function checkCallbackHost(callbackUrl) {
+  const { hostname } = new URL(callbackUrl);
+  if (isAllowedCallbackHost(hostname)) return null;
+
+  const literal = getBlockedCallbackAddress(hostname);
+  if (literal) {
+    return `callbackUrl must not point at a private or reserved address (${literal})`;
+  }
+  if (net.isIP(hostname.replace(/^\[|\]$/g, ""))) return null;
+
+  try {
+    const addresses = await dns.promises.lookup(hostname, { all: true });
+    const blocked = addresses.find(({ address }) =>
+      isBlockedCallbackAddress(address)
+    );
+    if (blocked) {
+      return `callbackUrl must not point at a private or reserved address (${hostname} resolves to ${blocked.address})`;
+    }
+  } catch (error) {
+    return `callbackUrl host could not be resolved: ${hostname}`;
+  }
+  return null;
+}
+
+// Key for callback secrets in the jobs file. Without WEBHOOK_ENCRYPTION_KEY
+// it is random per process, so secrets don't survive a restart.
+const WEBHOOK_KEY = crypto
+  .createHash("sha256")
+  .update(CONFIG.WEBHOOK_ENCRYPTION_KEY || crypto.randomBytes(32))
+  .digest();
+
+/**
+ * Encrypt a callback secret for the jobs file (AES-256-GCM)
+ */
+function sealCallbackSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", WEBHOOK_KEY, iv);
+  const data = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data]
+    .map((part) => part.toString("base64"))
+    .join(".");
+}
+
+/**
+ * Decrypt a sealed callback secret
+ * @returns {string|null} Null when it was sealed with another key
+ */
+function openCallbackSecret(sealed) {
+  try {
+    const [iv, tag, data] = sealed
+      .split(".")
+      .map((part) => Buffer.from(part, "base64"));
+    const decipher = crypto.createDecipheriv("aes-256-gcm", WEBHOOK_KEY, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString(
+      "utf8"
+    );
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * The payload a finished job would have returned from its route
+ */
+function buildJobPayload(job) {
+  if (job.status === "completed") {
+    return job.result;
+  }
+  const failure = {
+    code: job.errorCode || "internal_error",
+    message: job.error,
+    retryable: Boolean(job.retryable),
+  };
+  if (job.type === "batch") {
+    return { error: "Failed to process batch", ...failure };
+  }
+  return { success: false, error: "Failed to process request", ...failure };
+}
+
+/**
+ * Deliver a finished job's result to its callback URL, retrying with
+ * exponential backoff. Every attempt is recorded on the job.
+ */
+async function deliverWebhook(job) {
+  const { callback } = job;
+
+  if (job.status === "cancelled") {
+    callback.status = "skipped";
+    saveJobs();
+    return;
+  }
+
+  const body = JSON.stringify(buildJobPayload(job));
+  const headers = {
+    "X-Webhook-Id": job.id,
+    "X-Webhook-Event": `job.${job.status}`,
+  };
+  let secret = CONFIG.WEBHOOK_SECRET;
+  if (callback.sealedSecret) {
+    secret = openCallbackSecret(callback.sealedSecret);
+    if (!secret) {
+      callback.status = "failed";
+      callback.error =
+        "callbackSecret can't be decrypted, set WEBHOOK_ENCRYPTION_KEY to keep it across restarts";
+      saveJobs();
+      logger.warn("Webhook secret unavailable", { jobId: job.id });
+      return;
+    }
+  }
+  if (secret) {
+    headers["X-Webhook-Signature"] = `sha256=${crypto
+      .createHmac("sha256", secret)
+      .update(body)
+      .digest("hex")}`;
+  }
+
+  for (
+    let attempt = callback.deliveries.length + 1;
+    attempt <= CONFIG.WEBHOOK_MAX_ATTEMPTS;
+    attempt++
+  ) {
+    const delivery = {
+      attempt,
+      timestamp: new Date().toISOString(),
+      statusCode: null,
+      error: null,
+    };
+
+    try {
+      delivery.statusCode = await postJSON(callback.url, body, {
+        ...headers,
+        "X-Webhook-Attempt": String(attempt),
+      });
+      if (delivery.statusCode < 200 || delivery.statusCode >= 300) {
+        delivery.error = `Callback responded with ${delivery.statusCode}`;
+      }
+    } catch (error) {
+      delivery.error = error.message;
+    }
+
+    callback.deliveries.push(delivery);
+
+    if (!delivery.error) {
+      callback.status = "delivered";
+      saveJobs();
+      logger.info("Webhook delivered", { jobId: job.id, url: callback.url });
+      return;
+    }
+
+    saveJobs();
+    logger.warn("Webhook delivery failed", {
+      jobId: job.id,
+      attempt,
+      error: delivery.error,
+    });
+
+    if (attempt < CONFIG.WEBHOOK_MAX_ATTEMPTS) {
+      const delay = CONFIG.WEBHOOK_RETRY_DELAY * 2 ** (attempt - 1);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+
+  callback.status = "failed";
+  saveJobs();
+}
+
+/**
+ * Queue a request whose result is delivered to its callbackUrl and
+ * answer with 202 straight away
+ * @param {string} type - 'process' or 'batch'
+ */
+async function submitCallbackJob(req, res, type) {
+  const errors = validateCallback(req.body);
+  if (errors.length === 0) {
+    const hostError = await checkCallbackHost(req.body.callbackUrl);
+    if (hostError) errors.push(hostError);
+  }
+  if (errors.length > 0) {
+    return sendValidationErrors(res, errors);
+  }
+
+  const { callbackUrl, callbackSecret, ...request } = req.body;
+  const job = enqueueJob(request, type, {
+    url: callbackUrl,
+    sealedSecret: callbackSecret ? sealCallbackSecret(callbackSecret) : null,
+  });
+
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    status: job.status,
+    statusUrl: `/api/jobs/${job.id}`,
+    callbackUrl,
+  });
+}
+
+// ===========================
+// OPENAI COMPATIBILITY
+// ===========================
+
+const OPENAI_MODELS = {
+  claude: ["sonnet", "opus", "haiku"],
+  gemini: ["gemini-2.5-pro", "gemini-2.5-flash", "gemini-2.5-flash-lite"],
+};
+
+/**
+ * Validate an OpenAI chat completion request body
+ */
+function validateChatCompletionRequest(body) {
+  const errors = [];
+
+  if (!Array.isArray(body.messages) || body.messages.length === 0) {
+    errors.push("messages must be a non-empty array");
+    return errors;
+  }
+
+  for (const message of body.messages) {
+    if (
+      !message ||
+      !["system", "developer", "user", "assistant"].includes(message.role)
+    ) {
+      errors.push("each message must have role system, user or assistant");
+      break;
+    }
+  }
+
+  return errors;
+}
+
+// OpenAI error types by HTTP status; anything else is a server_error
+const OPENAI_ERROR_TYPES = {
+  400: "invalid_request_error",
+  401: "authentication_error",
+  403: "permission_error",
+  404: "not_found_error",
+  429: "rate_limit_error",
+};
+
+/**
+ * Send an error in the OpenAI error shape
+ */
+function sendOpenAIError(
+  res,
+  status,
+  message,
+  type = "invalid_request_error",
+  code = null
+) {
+  res.status(status).json({
+    error: { message, type, param: null, code },
+  });
+}
+
+/**
+ * Send a failed request's error (see describeError) in the OpenAI shape
+ */
+function sendOpenAIFailure(res, error) {
+  const { status, code, message } = describeError(error);
+  applyErrorHeaders(res, error);
+  sendOpenAIError(
+    res,
+    status,
+    message,
+    OPENAI_ERROR_TYPES[status] || "server_error",
+    code
+  );
+}
+
+/**
+ * Create a stream writer that emits OpenAI `chat.completion.chunk` SSE events
+ */
+function createOpenAIStreamWriter(res, cli, model) {
+  const id = `chatcmpl-${crypto.randomUUID()}`;
+  const created = Math.floor(Date.now() / 1000);
+
+  const sendChunk = (delta, finishReason = null) => {
+    res.write(
+      `data: ${JSON.stringify({
+        id,
+        object: "chat.completion.chunk",
+        created,
+        model,
+        choices: [{ index: 0, delta, finish_reason: finishReason }],
+      })}\n\n`
+    );
+  };
+
+  const start = () => {
+    if (res.headersSent) return;
+    res.setHeader("Content-Type", "text/event-stream");
+    res.setHeader("Cache-Control", "no-cache");
+    res.setHeader("Connection", "keep-alive");
+    res.setHeader("X-Accel-Buffering", "no");
+    sendChunk({ role: "assistant", content: "" });
+  };
+
+  return {
+    event(event) {
+      const text = extractStreamText(event, cli);
+      if (text) {
+        start();
+        sendChunk({ content: text });
+      }
+    },
+    end() {
+      start();
+      sendChunk({}, "stop");
+      res.write("data: [DONE]\n\n");
+      res.end();
+    },
+    fail(error) {
+      if (!res.headersSent) {
+        return sendOpenAIFailure(res, error);
+      }
+      const { code, message } = describeError(error);
+      res.write(`data: ${JSON.stringify({ error: { message, code } })}\n\n`);
+      res.write("data: [DONE]\n\n");
+      res.end();
+    },
+  };
+}
+
+// ===========================
+// ANTHROPIC COMPATIBILITY
+// ===========================
+
+/**
+ * Validate an Anthropic Messages request body
+ */
+function validateMessagesRequest(body) {
+  const errors = [];
+
+  if (!Array.isArray(body.messages) || body.messages.length === 0) {
+    errors.push("messages must be a non-empty array");
+  } else if (
+    body.messages.some(
+      (message) => !message || !["user", "assistant"].includes(message.role)
+    )
+  ) {
+    errors.push("each message must have role user or assistant");
+  }
+
+  if (!Number.isInteger(body.max_tokens) || body.max_tokens < 1) {
+    errors.push("max_tokens must be a positive integer");
+  }
+
+  return errors;
+}
+
+// Anthropic error types by HTTP status; anything else is an api_error
+const ANTHROPIC_ERROR_TYPES = {
+  400: "invalid_request_error",
+  401: "authentication_error",
+  403: "permission_error",
+  404: "not_found_error",
+  429: "rate_limit_error",
+  503: "overloaded_error",
+};
+
+/**
+ * Send an error in the Anthropic error shape
+ */
+function sendAnthropicError(
+  res,
+  status,
+  message,
+  type = "invalid_request_error"
+) {
+  res.status(status).json({ type: "error", error: { type, message } });
+}
+
+/**
+ * Send a failed request's error (see describeError) in the Anthropic shape
+ */
+function sendAnthropicFailure(res, error) {
+  const { status, message } = describeError(error);
+  applyErrorHeaders(res, error);
+  sendAnthropicError(
+    res,
+    status,
+    message,
+    ANTHROPIC_ERROR_TYPES[status] || "api_error"
+  );
+}
+
+/**
+ * Create a stream writer that emits Anthropic Messages SSE events.
+ * The CLI's text deltas are collected into a single text content block.
+ */
+function createAnthropicStreamWriter(res, cli, model) {
+  const id = `msg_${crypto.randomUUID().replace(/-/g, "")}`;
+  const usage = { input_tokens: 0, output_tokens: 0 };
+
+  const send = (type, data) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`);
+  };
+
+  const start = () => {
+    if (res.headersSent) return;
+    res.setHeader("Content-Type", "text/event-stream");
+    res.setHeader("Cache-Control", "no-cache");
+    res.setHeader("Connection", "keep-alive");
+    res.setHeader("X-Accel-Buffering", "no");
+    send("message_start", {
+      message: {
+        id,
+        type: "message",
+        role: "assistant",
+        model,
+        content: [],
+        stop_reason: null,
+        stop_sequence: null,
+        usage,
+      },
+    });
+    send("content_block_start", {
+      index: 0,
+      content_block: { type: "text", text: "" },
+    });
+  };
+
+  return {
+    event(event) {
+      const text = extractStreamText(event, cli);
+      if (text) {
+        start();
+        send("content_block_delta", {
+          index: 0,
+          delta: { type: "text_delta", text },
+        });
+      } else if (event.type === "result") {
+        const parsed = extractUsage(event, cli);
+        usage.input_tokens = parsed.inputTokens;
+        usage.output_tokens = parsed.outputTokens;
+      }
+    },
+    end() {
+      start();
+      send("content_block_stop", { index: 0 });
+      send("message_delta", {
+        delta: { stop_reason: "end_turn", stop_sequence: null },
+        usage: { output_tokens: usage.output_tokens },
+      });
+      send("message_stop", {});
+      res.end();
+    },
+    fail(error) {
+      if (!res.headersSent) {
+        return sendAnthropicFailure(res, error);
+      }
+      const { status, message } = describeError(error);
+      send("error", {
+        error: { type: ANTHROPIC_ERROR_TYPES[status] || "api_error", message },
+      });
+      res.end();
+    },
+  };
+}
+
+// ===========================
+// INTERACTIVE SESSIONS (WEBSOCKET)
+// ===========================
+
+// Allows a prompt of MAX_PROMPT_LENGTH characters in any UTF-8 encoding
+const wss = new WebSocketServer({
+  noServer: true,
+  maxPayload: CONFIG.MAX_PROMPT_LENGTH * 4 + 64 * 1024,
+});
+
+// The upgrade response carries the request id, like every HTTP response
+wss.on("headers", (headers, req) => {
+  headers.push(`X-Request-Id: ${req.id}`);
+});
+
+/**
+ * Send WebSocket upgrade requests for /api/ws through the Express
+ * middleware (request ids, rate limiting, authentication) so they are
+ * checked like any other request. Rejections are written to the socket as
+ * ordinary HTTP responses.
+ */
+function handleUpgrade(req, socket, head) {
+  if (req.url.split("?")[0] !== "/api/ws") {
+    socket.destroy();
+    return;
+  }
+
+  req.upgradeHead = head;
+  const res = new http.ServerResponse(req);
+  res.assignSocket(socket);
+  res.on("finish", () => socket.destroy());
+  app.handle(req, res);
+}
+
+/**
+ * Validate the options of an interactive session's start frame
+ * @returns {Array} Validation errors and policy violations
+ */
+function validateInteractiveOptions(options, req) {
+  const errors = [];
+
+  for (const field of ["model", "systemPrompt", "appendSystemPrompt"]) {
+    if (options[field] !== undefined && typeof options[field] !== "string") {
+      errors.push(`${field} must be a string`);
+    }
+  }
+  for (const field of ["allowedTools", "disallowedTools", "mcpConfig"]) {
+    if (options[field] !== undefined && !Array.isArray(options[field])) {
+      errors.push(`${field} must be an array`);
+    }
+  }
+  if (options.raw !== undefined && typeof options.raw !== "boolean") {
+    errors.push("raw must be a boolean");
+  }
+
+  errors.push(...checkPolicy(options));
+
+  const key = resolveApiKey(req);
+  const scopeError = key && applyKeyScopes(key, { ...options, cli: "claude" });
+  if (scopeError) {
+    errors.push({ code: "forbidden", field: "scopes", message: scopeError });
+  }
+
+  return errors;
+}
+
+/**
+ * Arguments for a Claude Code process that reads user messages from stdin
+ * as stream-json and asks for tool permissions over stdio
+ */
+function buildInteractiveArgs(options) {
+  const args = [
+    "--print",
+    "--input-format",
+    "stream-json",
+    "--output-format",
+    "stream-json",
+    "--verbose",
+    "--model",
+    options.model || getDefaultModel("claude"),
+  ];
+
+  if (options.includePartialMessages !== false) {
+    args.push("--include-partial-messages");
+  }
+  if (options.systemPrompt) args.push("--system-prompt", options.systemPrompt);
+  if (options.appendSystemPrompt) {
+    args.push("--append-system-prompt", options.appendSystemPrompt);
+  }
+  if (options.allowedTools && options.allowedTools.length > 0) {
+    args.push("--allowed-tools", options.allowedTools.join(" "));
+  }
+  if (options.disallowedTools && options.disallowedTools.length > 0) {
+    args.push("--disallowed-tools", options.disallowedTools.join(" "));
+  }
+  if (options.mcpConfig && options.mcpConfig.length > 0) {
+    args.push("--mcp-config", ...options.mcpConfig);
+  }
+  if (options.resumeSession) args.push("--resume", options.resumeSession);
+
+  if (options.dangerouslySkipPermissions) {
+    args.push("--dangerously-skip-permissions");
+  } else {
+    args.push("--permission-prompt-tool", "stdio");
+  }
+
+  return args;
+}
+
+/**
+ * Run an interactive session over a WebSocket. One Claude Code process is
+ * kept running for the whole connection.
+ *
+ * Client frames: start, user, interrupt, permission_response, cancel.
+ * Server frames: ready, the unified stream events (start, text, tool_call,
+ * done) or raw CLI events, permission_request, interrupted, error, exit.
+ */
+function runInteractiveSession(ws, req) {
+  const context = requestContext.getStore();
+  const bind =
+    (fn) =>
+    (...args) =>
+      requestContext.run(context, () => fn(...args));
+
+  const pendingPermissions = new Map();
+  const pendingInterrupts = new Set();
+  let starting = null;
+  let proc = null;
+  let child = null;
+  let options = null;
+  let normalize = null;
+  let cancelled = false;
+  let idleTimer = null;
+
+  const send = (frame) => {
+    if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(frame));
+  };
+  const fail = (message, code = "invalid_request") =>
+    send(toErrorEvent(createAPIError(code, message)));
+
+  const resetIdleTimer = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(
+      bind(() => {
+        fail("Session closed after being idle", "idle_timeout");
+        ws.close(1000, "Idle timeout");
+      }),
+      CONFIG.WS_IDLE_TIMEOUT
+    );
+  };
+
+  const writeToCLI = (message) => {
+    child.stdin.write(JSON.stringify(message) + "\n");
+  };
+
+  const handleEvent = (event) => {
+    if (event.type === "control_request") {
+      const request = event.request || {};
+      if (request.subtype !== "can_use_tool") return;
+
+      // Tools the policy forbids are denied without asking the client
+      if (
+        policy &&
+        Array.isArray(policy.allowedTools) &&
+        !isToolAllowed(request.tool_name)
+      ) {
+        return writeToCLI({
+          type: "control_response",
+          response: {
+            subtype: "success",
+            request_id: event.request_id,
+            response: {
+              behavior: "deny",
+              message: `Tool ${request.tool_name} is not allowed by policy`,
+            },
+          },
+        });
+      }
+
+      pendingPermissions.set(event.request_id, request);
+      return send({
+        type: "permission_request",
+        requestId: event.request_id,
+        toolName: request.tool_name,
+        input: request.input,
+      });
+    }
+
+    if (event.type === "control_response") {
+      const requestId = event.response && event.response.request_id;
+      if (pendingInterrupts.delete(requestId)) {
+        send({ type: "interrupted" });
+      }
+      return;
+    }
+
+    if (event.type === "result") {
+      recordUsage("claude", options.model || getDefaultModel("claude"), event);
+    }
+
+    if (!normalize) return send(event);
+    for (const normalized of normalize(event)) send(normalized);
+  };
+
+  const start = async (startOptions) => {
+    const errors = validateInteractiveOptions(startOptions, req);
+    if (errors.length > 0) {
+      send({ ...toErrorEvent(createValidationError(errors)), errors });
+      ws.close(1008, "Invalid start frame");
+      return false;
+    }
+
+    options = startOptions;
+    const model = options.model || getDefaultModel("claude");
+    const release = await acquireProcessSlot("claude");
+    let workspace;
+    try {
+      workspace = await createWorkspace();
+    } catch (error) {
+      release();
+      throw error;
+    }
+    // The client may have left while waiting for a process slot
+    if (ws.readyState !== WebSocket.OPEN) {
+      release();
+      await removeWorkspace(workspace);
+      return false;
+    }
+    const args = buildInteractiveArgs(options);
+
+    logger.info("Executing CLI", {
+      cli: "claude",
+      model,
+      interactive: true,
+      args: redactArgs(args, false),
+    });
+    // No timeouts: WS_IDLE_TIMEOUT covers sessions nobody uses
+    proc = superviseProcess("claude", args, {
+      cwd: workspace.dir,
+      stdio: ["pipe", "pipe", "pipe"],
+    });
+    child = proc.child;
+    const recordExecution = startCLIExecution("claude", model);
+    let spawnFailed = false;
+
+    const parser = createLineParser((line) => {
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch (e) {
+        return;
+      }
+      resetIdleTimer();
+      handleEvent(event);
+    });
+
+    child.stdout.on(
+      "data",
+      bind((data) => parser.push(data))
+    );
+    child.stdin.on("error", () => {}); // Reported by the close handler
+    child.stderr.on(
+      "data",
+      bind((data) => {
+        logger.warn("CLI stderr", { cli: "claude", stderr: data.toString() });
+      })
+    );
+
+    child.on(
+      "error",
+      bind((error) => {
+        spawnFailed = true;
+        recordExecution("spawn_error");
+        release();
+        removeWorkspace(workspace);
+        logger.error("CLI spawn failed", {
+          cli: "claude",
+          error: error.message,
+        });
+        send(
+          toErrorEvent(
+            createCLIError(
+              `Failed to spawn claude: ${error.message}`,
+              "spawn_error"
+            )
+          )
+        );
+        ws.close(1011, "CLI failed to start");
+      })
+    );
+
+    child.on(
+      "close",
+      bind((code) => {
+        if (spawnFailed) return;
+        parser.flush();
+        release();
+        removeWorkspace(workspace);
+        recordExecution(
+          cancelled ? "cancelled" : code === 0 ? "success" : "exit_error",
+          code
+        );
+        child = null;
+        send({ type: "exit", code });
+        ws.close(1000, "CLI exited");
+      })
+    );
+
+    normalize = options.raw ? null : createStreamNormalizer("claude", model);
+    send({ type: "ready", cli: "claude", model });
+    return true;
+  };
+
+  const handleFrame = async (data) => {
+    resetIdleTimer();
+
+    let frame;
+    try {
+      frame = JSON.parse(data.toString());
+    } catch (e) {
+      return fail("Frames must be JSON objects");
+    }
+    if (!frame || typeof frame !== "object") {
+      return fail("Frames must be JSON objects");
+    }
+
+    if (frame.type === "start") {
+      if (starting) return fail("Session already started");
+      const { type, ...startOptions } = frame;
+      starting = start(startOptions);
+      return starting;
+    }
+
+    if (frame.type === "cancel") {
+      cancelled = true;
+      return ws.close(1000, "Cancelled");
+    }
+
+    // A user message without a start frame starts a session with defaults
+    if (!starting && frame.type === "user") {
+      starting = start({});
+    }
+    if (!starting || !(await starting) || !child) {
+      return fail("Session is not running");
+    }
+
+    switch (frame.type) {
+      case "user": {
+        if (typeof frame.text !== "string" || !frame.text) {
+          return fail("text is required");
+        }
+        if (frame.text.length > CONFIG.MAX_PROMPT_LENGTH) {
+          return fail(
+            `text exceeds maximum length of ${CONFIG.MAX_PROMPT_LENGTH} characters`
+          );
+        }
+        const quotaError = req.apiKey && consumeQuota(req.apiKey);
+        if (quotaError) {
+          return send({
+            ...toErrorEvent(quotaError),
+            retryAfter: quotaError.retryAfter,
+          });
+        }
+        if (!options.raw) {
+          normalize = createStreamNormalizer(
+            "claude",
+            options.model || getDefaultModel("claude")
+          );
+        }
+        return writeToCLI({
+          type: "user",
+          message: { role: "user", content: frame.text },
+        });
+      }
+
+      case "interrupt": {
+        const requestId = crypto.randomUUID();
+        pendingInterrupts.add(requestId);
+        return writeToCLI({
+          type: "control_request",
+          request_id: requestId,
+          request: { subtype: "interrupt" },
+        });
+      }
+
+      case "permission_response": {
+        const request = pendingPermissions.get(frame.requestId);
+        if (!request) {
+          return fail(`No pending permission request ${frame.requestId}`);
+        }
+        pendingPermissions.delete(frame.requestId);
+        return writeToCLI({
+          type: "control_response",
+          response: {
+            subtype: "success",
+            request_id: frame.requestId,
+            response: frame.allow
+              ? {
+                  behavior: "allow",
+                  updatedInput: frame.updatedInput || request.input,
+                }
+              : {
+                  behavior: "deny",
+                  message: frame.message || "Denied by the user",
+                },
+          },
+        });
+      }
+
+      default:
+        return fail(`Unknown frame type ${frame.type}`);
+    }
+  };
+
+  ws.on(
+    "message",
+    bind((data) =>
+      handleFrame(data).catch((error) => {
+        logger.error("Interactive session failed", { error: error.message });
+        send(toErrorEvent(error));
+        ws.close(1011, "Session failed");
+      })
+    )
+  );
+
+  ws.on(
+    "close",
+    bind(() => {
+      clearTimeout(idleTimer);
+      if (child) {
+        cancelled = true;
+        proc.stop();
+      }
+      logger.info("Interactive session closed");
+    })
+  );
+
+  logger.info("Interactive session opened");
+  resetIdleTimer();
+}
+
+// ===========================
+// ROUTES
+// ===========================
+
+/**
+ * Health check endpoint
+ */
+app.get("/health", (req, res) => {
+  res.json({
+    status: "healthy",
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime(),
+  });
+});
+
+/**
+ * Liveness probe: the process is up and serving requests
+ */
+app.get("/livez", (req, res) => {
+  res.json({ status: "alive", uptime: process.uptime() });
+});
+
+/**
+ * Readiness probe: fails when the default CLI is missing or not signed in,
+ * and while the server is shutting down
+ */
+app.get("/readyz", async (req, res) => {
+  if (shuttingDown) {
+    return res.status(503).json({ status: "not ready", shuttingDown: true });
+  }
+  try {
+    const readiness = await getReadiness();
+    res.status(readiness.ready ? 200 : 503).json({
+      status: readiness.ready ? "ready" : "not ready",
+      ...readiness,
+    });
+  } catch (error) {
+    res.status(503).json({ status: "not ready", error: error.message });
+  }
+});
+
+/**
+ * Prometheus metrics
+ */
+app.get("/metrics", (req, res) => {
+  res.setHeader("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+  res.send(renderMetrics());
+});
+
+/**
+ * API Info endpoint
+ */
+app.get("/api/info", maybeAuth, (req, res) => {
+  res.json({
+    version: "2.0.0",
+    endpoints: {
+      "/api/ask": "Simple prompt execution (supports both Claude and Gemini)",
+      "/api/process": "Advanced prompt execution with all options",
+      "/api/stream": "Streaming response",
+      "/api/batch": "Batch processing multiple prompts",
+      "/api/batch/stream":
+        "Batch processing with NDJSON results as they complete",
+      "/api/test": "Test CLI availability (add ?cli=claude or ?cli=gemini)",
+      "/api/sessions": "Create a conversation session",
+      "/api/sessions/:id": "Inspect (GET) or end (DELETE) a session",
+      "/api/sessions/:id/messages": "Continue a conversation session",
+      "/api/pool": "CLI process pool statistics",
+      "/api/usage": "Token usage and cost by caller, CLI, model or day",
+      "/api/admin/keys": "Manage API keys (admin only)",
+      "/api/templates":
+        "Prompt templates (GET to list, POST to create, admin only)",
+      "/api/templates/:name":
+        "Read (GET), replace (PUT) or delete (DELETE) a prompt template",
+      "/api/admin/cache": "Purge the response cache (DELETE, admin only)",
+      "/api/ws": "Interactive Claude Code session (WebSocket)",
+      "/api/admin/breakers/:cli/reset":
+        "Close a CLI's circuit breaker (POST, admin only)",
+      "/api/jobs": "Asynchronous jobs (POST to submit, GET to list)",
+      "/api/jobs/:id": "Job status and result (GET), cancel (DELETE)",
+      "/v1/chat/completions": "OpenAI-compatible chat completions",
+      "/v1/models": "OpenAI-compatible model list",
+      "/v1/messages": "Anthropic Messages API compatible endpoint",
+      "/livez": "Liveness probe",
+      "/readyz": "Readiness probe (CLI binaries and credentials)",
+      "/metrics": "Prometheus metrics",
+    },
+    config: {
+      authEnabled: CONFIG.AUTH_ENABLED,
+      maxPromptLength: CONFIG.MAX_PROMPT_LENGTH,
+      requestTimeout: CONFIG.REQUEST_TIMEOUT,
+      rateLimitWindow: CONFIG.RATE_LIMIT_WINDOW,
+      rateLimitMax: CONFIG.RATE_LIMIT_MAX,
+      defaultModel: getDefaultModel(CONFIG.DEFAULT_CLI),
+      defaultCLI: CONFIG.DEFAULT_CLI,
+      fallbackEnabled: CONFIG.ENABLE_FALLBACK,
+      claudeMaxConcurrency: CONFIG.CLAUDE_MAX_CONCURRENCY,
+      geminiMaxConcurrency: CONFIG.GEMINI_MAX_CONCURRENCY,
+      poolMaxQueue: CONFIG.POOL_MAX_QUEUE,
+      batchMaxPrompts: CONFIG.BATCH_MAX_PROMPTS,
+      batchMaxConcurrency: CONFIG.BATCH_MAX_CONCURRENCY,
+      policyEnabled: policy !== null,
+      workspaceMaxFiles: CONFIG.WORKSPACE_MAX_FILES,
+      workspaceMaxFileSize: CONFIG.WORKSPACE_MAX_FILE_SIZE,
+      cacheEnabled: CONFIG.CACHE_ENABLED,
+      cacheTTL: CONFIG.CACHE_TTL,
+      fallbackChain: resolveProviderChain({}),
+      fallbackOn: CONFIG.FALLBACK_ON,
+      retryMax: CONFIG.RETRY_MAX,
+      retryBaseDelay: CONFIG.RETRY_BASE_DELAY,
+      breakerEnabled: CONFIG.BREAKER_ENABLED,
+      breakerFailureThreshold: CONFIG.BREAKER_FAILURE_THRESHOLD,
+      breakerCooldown: CONFIG.BREAKER_COOLDOWN,
+      shutdownGracePeriod: CONFIG.SHUTDOWN_GRACE_PERIOD,
+      shutdownKillTimeout: CONFIG.SHUTDOWN_KILL_TIMEOUT,
+      processIdleTimeout: CONFIG.PROCESS_IDLE_TIMEOUT,
+      processKillGrace: CONFIG.PROCESS_KILL_GRACE,
+      processMaxOutput: CONFIG.PROCESS_MAX_OUTPUT,
+      debugErrors: CONFIG.DEBUG_ERRORS,
+      attachmentMaxFiles: CONFIG.ATTACHMENT_MAX_FILES,
+      attachmentMaxSize: CONFIG.ATTACHMENT_MAX_SIZE,
+      attachmentAllowedTypes: CONFIG.ATTACHMENT_ALLOWED_TYPES,
+      templatesDir: CONFIG.TEMPLATES_DIR,
+    },
+    supportedCLIs: [...providers.keys()],
+    circuitBreakers: getBreakerStates(),
+    features: {
+      autoFallback: CONFIG.ENABLE_FALLBACK,
+      cliSelection: "Specify 'cli' parameter in request body",
+      metadata: "Responses include which CLI was used",
+    },
+  });
+});
+
+/**
+ * Simple ask endpoint
+ */
+app.post(
+  "/api/ask",
+  maybeAuth,
+  parseUploads,
+  expandTemplates,
+  async (req, res) => {
+    try {
+      const errors = validateRequest(req.body);
+      if (req.body.responseSchema !== undefined) {
+        errors.push(RESPONSE_SCHEMA_UNSUPPORTED);
+      }
+      if (errors.length > 0) {
+        return sendValidationErrors(res, errors);
+      }
+
+      const {
+        prompt,
+        outputFormat = "json",
+        model,
+        systemPrompt,
+        cli,
+        disableFallback,
+        files,
+        attachments,
+        cache,
+        raw,
+        fallbackChain,
+        fallbackOn,
+        allowedCLIs,
+      } = req.body;
+
+      const result = await executeAICLIWithCache({
+        prompt,
+        outputFormat,
+        model,
+        systemPrompt,
+        cli,
+        disableFallback,
+        files,
+        attachments,
+        cache,
+        fallbackChain,
+        fallbackOn,
+        allowedCLIs,
+      });
+
+      const meta = {
+        usedCLI: result.usedCLI,
+        fallbackUsed: result.fallbackUsed || false,
+        cache: result.cache,
+        files: result.files || [],
+      };
+
+      if (!raw) {
+        return res.json({
+          ...normalizeResponse(result, { outputFormat, model }),
+          _meta: meta,
+        });
+      }
+
+      const parsed = parseOutput(result.stdout, outputFormat);
+
+      // Add metadata about which CLI was used
+      if (typeof parsed === "object" && parsed !== null) {
+        parsed._meta = meta;
+      }
+
+      res.json(parsed);
+    } catch (error) {
+      logger.error("Request failed", {
+        error: error.message,
+        stack: error.stack,
+      });
+      sendError(res, error, "Failed to process request");
+    }
+  }
+);
+
+/**
+ * Advanced process endpoint
+ */
+app.post(
+  "/api/process",
+  maybeAuth,
+  parseUploads,
+  expandTemplates,
+  async (req, res) => {
+    try {
+      const errors = validateRequest(req.body);
+      if (errors.length > 0) {
+        return sendValidationErrors(res, errors);
+      }
+
+      if (req.body.callbackUrl) {
+        return await submitCallbackJob(req, res, "process");
+      }
+
+      const result = req.body.responseSchema
+        ? await executeStructured(req.body)
+        : await executeAICLIWithCache(req.body);
+
+      res.json(buildProcessResponse(req.body, result));
+    } catch (error) {
+      logger.error("Request failed", {
+        error: error.message,
+        stack: error.stack,
+      });
+      sendError(res, error, "Failed to process request", {
+        success: false,
+        ...(error.validationErrors && {
+          validationErrors: error.validationErrors,
+          lastResponse: error.lastResponse,
+        }),
+      });
+    }
+  }
+);
+
+/**
+ * Streaming endpoint
+ */
+app.post(
+  "/api/stream",
+  maybeAuth,
+  parseUploads,
+  expandTemplates,
+  async (req, res) => {
+    try {
+      const errors = validateRequest(req.body);
+      if (req.body.responseSchema !== undefined) {
+        errors.push(RESPONSE_SCHEMA_UNSUPPORTED);
+      }
+      if (errors.length > 0) {
+        return sendValidationErrors(res, errors);
+      }
+
+      const cliToUse = getRequestCLI(req.body);
+      if (!providers.get(cliToUse).streaming) {
+        return sendError(
+          res,
+          createAPIError(
+            "invalid_request",
+            `${cliToUse} does not support streaming`
+          ),
+          "Invalid request"
+        );
+      }
+
+      await streamCLIEvents(
+        req,
+        res,
+        req.body,
+        cliToUse,
+        CONFIG.ENABLE_FALLBACK && !req.body.disableFallback,
+        (streamCLI) => createNDJSONStreamWriter(res, streamCLI, req.body)
+      );
+    } catch (error) {
+      logger.error("Request failed", {
+        error: error.message,
+        stack: error.stack,
+      });
+      sendError(res, error, "Failed to start streaming");
+    }
+  }
+);
+
+/**
+ * Batch processing endpoint
+ */
+app.post(
+  "/api/batch",
+  maybeAuth,
+  parseUploads,
+  expandTemplates,
+  async (req, res) => {
+    try {
+      const batchError = validateBatchRequest(req.body);
+      if (batchError) {
+        return sendError(
+          res,
+          createAPIError("invalid_request", batchError),
+          "Invalid request"
+        );
+      }
+
+      const violations = checkBatchPolicy(req.body);
+      if (violations.length > 0) {
+        return sendValidationErrors(res, violations);
+      }
+
+      if (req.body.callbackUrl) {
+        return await submitCallbackJob(req, res, "batch");
+      }
+
+      res.json(await runBatch(req.body));
+    } catch (error) {
+      logger.error("Request failed", {
+        error: error.message,
+        stack: error.stack,
+      });
+      sendError(res, error, "Failed to process batch");
+    }
+  }
+);
+
+/**
+ * Batch processing endpoint that streams each result as NDJSON
+ */
+app.post(
+  "/api/batch/stream",
+  maybeAuth,
+  parseUploads,
+  expandTemplates,
+  async (req, res) => {
+    try {
+      const batchError = validateBatchRequest(req.body);
+      if (batchError) {
+        return sendError(
+          res,
+          createAPIError("invalid_request", batchError),
+          "Invalid request"
+        );
+      }
+
+      const violations = checkBatchPolicy(req.body);
+      if (violations.length > 0) {
+        return sendValidationErrors(res, violations);
+      }
+
+      const controller = new AbortController();
+
+      res.setHeader("Content-Type", "application/x-ndjson");
+      res.setHeader("Transfer-Encoding", "chunked");
+      res.setHeader("Cache-Control", "no-cache");
+      res.setHeader("X-Accel-Buffering", "no");
+
+      // Handle client disconnect
+      res.on("close", () => {
+        if (!res.writableFinished) {
+          controller.abort();
+        }
+      });
+
+      const batch = await runBatch(req.body, controller.signal, (outcome) => {
+        res.write(JSON.stringify({ type: "result", ...outcome }) + "\n");
+      });
+
+      res.write(
+        JSON.stringify({
+          type: "summary",
+          success: batch.success,
+          summary: batch.summary,
+        }) + "\n"
+      );
+      res.end();
+    } catch (error) {
+      logger.error("Request failed", {
+        error: error.message,
+        stack: error.stack,
+      });
+      if (res.headersSent) {
+        res.write(JSON.stringify(toErrorEvent(error)) + "\n");
+        return res.end();
+      }
+      sendError(res, error, "Failed to process batch");
+    }
+  }
+);
+
+/**
+ * Test AI CLI availability
+ */
+app.get("/api/test", maybeAuth, async (req, res) => {
+  const cliToTest = req.query.cli || CONFIG.DEFAULT_CLI;
+  if (!providers.has(cliToTest)) {
+    return sendError(
+      res,
+      createAPIError(
+        "invalid_request",
+        `cli must be one of: ${[...providers.keys()].join(", ")}`
+      ),
+      "Invalid request",
+      { success: false }
+    );
+  }
+  const label = { claude: "Claude", gemini: "Gemini" }[cliToTest] || cliToTest;
+
+  try {
+    const result = await executeAICLI(
+      {
+        prompt: `Say "Hello from ${label} CLI API!"`,
+        outputFormat: "text",
+        disableFallback: true, // Don't use fallback for testing
+      },
+      cliToTest
+    );
+
+    res.json({
+      success: true,
+      message: `${label} CLI is working correctly`,
+      response: result.stdout.trim(),
+      usedCLI: result.usedCLI,
+    });
+  } catch (error) {
+    sendError(res, error, `${label} CLI is not available or not working`, {
+      success: false,
+    });
+  }
+});
+
+/**
+ * Create a conversation session, optionally with a first message
+ */
+app.post("/api/sessions", maybeAuth, async (req, res) => {
+  try {
+    const errors =
+      req.body.prompt !== undefined
+        ? validateRequest(req.body)
+        : [...validateRouting(req.body), ...checkPolicy(req.body)];
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const session = createSession(req.body);
+
+    if (req.body.prompt === undefined) {
+      return res.status(201).json(serializeSession(session));
+    }
+
+    busySessions.add(session.id);
+    try {
+      const reply = await sendSessionMessage(
+        session,
+        req.body.prompt,
+        req.body
+      );
+      res.status(201).json(reply);
+    } finally {
+      busySessions.delete(session.id);
+    }
+  } catch (error) {
+    logger.error("Request failed", {
+      error: error.message,
+      stack: error.stack,
+    });
+    sendError(res, error, "Failed to create session", { success: false });
+  }
+});
+
+/**
+ * Continue a conversation session
+ */
+app.post("/api/sessions/:id/messages", maybeAuth, async (req, res) => {
+  const session = sessions.get(req.params.id);
+  if (!session || !isOwnedByCaller(req, session)) {
+    return sendError(
+      res,
+      createAPIError("not_found", "Session not found"),
+      "Not Found"
+    );
+  }
+
+  const errors = validateRequest(req.body);
+  if (errors.length > 0) {
+    return sendValidationErrors(res, errors);
+  }
+
+  if (!isCLIAllowed(req, session.cli)) {
+    return sendError(
+      res,
+      createAPIError(
+        "forbidden",
+        `API key is not allowed to use ${session.cli}`
+      ),
+      "Forbidden"
+    );
+  }
+
+  if (busySessions.has(session.id)) {
+    return sendError(
+      res,
+      createAPIError("conflict", "Session is already processing a message"),
+      "Conflict"
+    );
+  }
+
+  busySessions.add(session.id);
+  try {
+    res.json(await sendSessionMessage(session, req.body.prompt, req.body));
+  } catch (error) {
+    logger.error("Request failed", {
+      error: error.message,
+      stack: error.stack,
+    });
+    sendError(res, error, "Failed to process message", { success: false });
+  } finally {
+    busySessions.delete(session.id);
+  }
+});
+
+/**
+ * Get a session and its transcript
+ */
+app.get("/api/sessions/:id", maybeAuth, (req, res) => {
+  const session = sessions.get(req.params.id);
+  if (!session || !isOwnedByCaller(req, session)) {
+    return sendError(
+      res,
+      createAPIError("not_found", "Session not found"),
+      "Not Found"
+    );
+  }
+
+  res.json(serializeSession(session));
+});
+
+/**
+ * End a session
+ */
+app.delete("/api/sessions/:id", maybeAuth, (req, res) => {
+  const session = sessions.get(req.params.id);
+  if (!session || !isOwnedByCaller(req, session)) {
+    return sendError(
+      res,
+      createAPIError("not_found", "Session not found"),
+      "Not Found"
+    );
+  }
+
+  if (busySessions.has(session.id)) {
+    return sendError(
+      res,
+      createAPIError("conflict", "Session is still processing a message"),
+      "Conflict"
+    );
+  }
+
+  sessions.delete(session.id);
+  saveSessions();
+  if (session.workspaceDir) {
+    removeWorkspace({ dir: session.workspaceDir });
+  }
+  res.json({ success: true, sessionId: session.id, status: "deleted" });
+});
+
+/**
+ * Create an API key
+ */
+app.post("/api/admin/keys", requireAdmin, (req, res) => {
+  const errors = validateApiKeyRequest(req.body);
+  if (errors.length > 0) {
+    return sendValidationErrors(res, errors);
+  }
+
+  const { key, token } = createApiKey(req.body);
+
+  res.status(201).json({
+    ...serializeApiKey(key),
+    key: token,
+    warning: "Store this key now, it cannot be shown again",
+  });
+});
+
+/**
+ * List API keys
+ */
+app.get("/api/admin/keys", requireAdmin, (req, res) => {
+  res.json({ keys: Array.from(apiKeys.values()).map(serializeApiKey) });
+});
+
+/**
+ * Revoke an API key
+ */
+app.delete("/api/admin/keys/:id", requireAdmin, (req, res) => {
+  const key = Array.from(apiKeys.values()).find(
+    (candidate) => candidate.id === req.params.id
+  );
+  if (!key) {
+    return sendError(
+      res,
+      createAPIError("not_found", "API key not found"),
+      "Not Found"
+    );
+  }
+
+  if (!key.revokedAt) {
+    key.revokedAt = new Date().toISOString();
+    saveApiKeys();
+  }
+
+  res.json({ success: true, id: key.id, revokedAt: key.revokedAt });
+});
 
 /**
- * Health check endpoint
+ * List prompt templates
  */
-app.get("/health", (req, res) => {
+app.get("/api/templates", maybeAuth, (req, res) => {
   res.json({
-    status: "healthy",
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime(),
+    templates: Array.from(templates.values()).map(serializeTemplate),
   });
 });
 
 /**
- * API Info endpoint
+ * Get a prompt template
  */
-app.get("/api/info", maybeAuth, (req, res) => {
-  res.json({
-    version: "2.0.0",
-    endpoints: {
-      "/api/ask": "Simple prompt execution (supports both Claude and Gemini)",
-      "/api/process": "Advanced prompt execution with all options",
-      "/api/stream": "Streaming response",
-      "/api/batch": "Batch processing multiple prompts",
-      "/api/test": "Test CLI availability (add ?cli=claude or ?cli=gemini)",
-    },
-    config: {
-      authEnabled: CONFIG.AUTH_ENABLED,
-      maxPromptLength: CONFIG.MAX_PROMPT_LENGTH,
-      requestTimeout: CONFIG.REQUEST_TIMEOUT,
-      rateLimitWindow: CONFIG.RATE_LIMIT_WINDOW,
-      rateLimitMax: CONFIG.RATE_LIMIT_MAX,
-      defaultModel: getDefaultModel(CONFIG.DEFAULT_CLI),
-      defaultCLI: CONFIG.DEFAULT_CLI,
-      fallbackEnabled: CONFIG.ENABLE_FALLBACK,
-    },
-    supportedCLIs: ["claude", "gemini"],
-    features: {
-      autoFallback: CONFIG.ENABLE_FALLBACK,
-      cliSelection: "Specify 'cli' parameter in request body",
-      metadata: "Responses include which CLI was used",
-    },
-  });
+app.get("/api/templates/:name", maybeAuth, (req, res) => {
+  const template = templates.get(req.params.name);
+  if (!template) {
+    return sendError(
+      res,
+      createAPIError("not_found", "Template not found"),
+      "Not Found"
+    );
+  }
+  res.json(serializeTemplate(template));
 });
 
 /**
- * Simple ask endpoint
+ * Create a prompt template
  */
-app.post("/api/ask", maybeAuth, async (req, res) => {
-  try {
-    const errors = validateRequest(req.body);
-    if (errors.length > 0) {
-      return res.status(400).json({ errors });
-    }
+app.post("/api/templates", requireAdmin, (req, res) => {
+  const { name, ...definition } = req.body;
+  const errors = validateTemplate(name, definition);
+  if (errors.length > 0) {
+    return sendValidationErrors(res, errors);
+  }
+  if (templates.has(name)) {
+    return sendError(
+      res,
+      createAPIError("conflict", `Template ${name} already exists`),
+      "Conflict"
+    );
+  }
 
-    const {
-      prompt,
-      outputFormat = "json",
-      model,
-      systemPrompt,
-      cli,
-    } = req.body;
+  saveTemplate(name, definition);
+  res.status(201).json(serializeTemplate(templates.get(name)));
+});
 
-    const result = await executeAICLI({
-      prompt,
-      outputFormat,
-      model,
-      systemPrompt,
-      cli,
-    });
+/**
+ * Create or replace a prompt template
+ */
+app.put("/api/templates/:name", requireAdmin, (req, res) => {
+  const { name } = req.params;
+  const errors = validateTemplate(name, req.body);
+  if (errors.length > 0) {
+    return sendValidationErrors(res, errors);
+  }
 
-    const parsed = parseOutput(result.stdout, outputFormat);
+  const created = !templates.has(name);
+  saveTemplate(name, req.body);
+  res.status(created ? 201 : 200).json(serializeTemplate(templates.get(name)));
+});
 
-    // Add metadata about which CLI was used
-    if (typeof parsed === "object" && parsed !== null) {
-      parsed._meta = {
-        usedCLI: result.usedCLI,
-        fallbackUsed: result.fallbackUsed || false,
-      };
-    }
+/**
+ * Delete a prompt template
+ */
+app.delete("/api/templates/:name", requireAdmin, (req, res) => {
+  const { name } = req.params;
+  if (!templates.has(name)) {
+    return sendError(
+      res,
+      createAPIError("not_found", "Template not found"),
+      "Not Found"
+    );
+  }
+
+  deleteTemplate(name);
+  res.json({ success: true, name });
+});
 
-    res.json(parsed);
+/**
+ * Purge the response cache
+ */
+app.delete("/api/admin/cache", requireAdmin, async (req, res) => {
+  try {
+    const purged = await purgeResponseCache();
+    logger.info("Purged response cache", { purged });
+    res.json({ success: true, purged });
   } catch (error) {
-    console.error("[Error]", error);
-    res.status(500).json({
-      error: "Failed to process request",
-      message: error.message,
+    logger.error("Request failed", {
+      error: error.message,
+      stack: error.stack,
     });
+    sendError(res, error, "Failed to purge cache");
   }
 });
 
 /**
- * Advanced process endpoint
+ * Interactive Claude Code session over a WebSocket (see
+ * runInteractiveSession). Plain HTTP requests get 426.
  */
-app.post("/api/process", maybeAuth, async (req, res) => {
-  try {
-    const errors = validateRequest(req.body);
-    if (errors.length > 0) {
-      return res.status(400).json({ errors });
-    }
+app.get("/api/ws", maybeAuth, (req, res) => {
+  if (!req.upgradeHead) {
+    return sendError(
+      res,
+      createAPIError(
+        "upgrade_required",
+        "Connect to this endpoint with a WebSocket client"
+      ),
+      "Upgrade Required"
+    );
+  }
+  if (!isCLIAllowed(req, "claude")) {
+    return sendError(
+      res,
+      createAPIError("forbidden", "API key is not allowed to use claude"),
+      "Forbidden"
+    );
+  }
 
-    const result = await executeAICLI(req.body);
-    const parsed = parseOutput(result.stdout, req.body.outputFormat || "json");
+  wss.handleUpgrade(req, req.socket, req.upgradeHead, (ws) =>
+    runInteractiveSession(ws, req)
+  );
+});
 
-    res.json({
-      success: true,
-      data: parsed,
-      metadata: {
-        model: req.body.model || getDefaultModel(result.usedCLI),
-        outputFormat: req.body.outputFormat || "json",
-        timestamp: new Date().toISOString(),
-        usedCLI: result.usedCLI,
-        fallbackUsed: result.fallbackUsed || false,
-      },
-    });
-  } catch (error) {
-    console.error("[Error]", error);
-    res.status(500).json({
-      success: false,
-      error: "Failed to process request",
-      message: error.message,
-    });
+/**
+ * Close a provider's circuit breaker by hand
+ */
+app.post("/api/admin/breakers/:cli/reset", requireAdmin, (req, res) => {
+  const { cli } = req.params;
+  if (!providers.has(cli)) {
+    return sendError(
+      res,
+      createAPIError("not_found", `Unknown CLI ${cli}`),
+      "Not Found"
+    );
   }
+
+  resetBreaker(cli);
+  res.json({ success: true, cli, breaker: getBreakerStates()[cli] });
 });
 
 /**
- * Streaming endpoint
+ * Usage and cost aggregates. Admins can query every caller; everyone else
+ * only sees their own usage.
  */
-app.post("/api/stream", maybeAuth, async (req, res) => {
-  try {
-    const errors = validateRequest(req.body);
-    if (errors.length > 0) {
-      return res.status(400).json({ errors });
-    }
+app.get("/api/usage", maybeAuth, (req, res) => {
+  const queryError = validateUsageQuery(req.query);
+  if (queryError) {
+    return sendError(
+      res,
+      createAPIError("invalid_request", queryError),
+      "Invalid request"
+    );
+  }
 
-    const {
-      prompt,
-      model,
-      systemPrompt,
-      appendSystemPrompt,
-      includePartialMessages = true,
-      cli,
-    } = req.body;
+  const isAdmin = isAdminRequest(req);
+  const caller = getCallerIdentity(req);
 
-    const cliToUse = cli || CONFIG.DEFAULT_CLI;
-    const modelToUse = model || getDefaultModel(cliToUse);
+  if (!isAdmin && req.query.user && req.query.user !== caller) {
+    return sendError(
+      res,
+      createAPIError("forbidden", "Only admins can view other callers' usage"),
+      "Forbidden"
+    );
+  }
 
-    let args = [];
-    let command = "";
+  res.json(
+    aggregateUsage({
+      ...req.query,
+      user: isAdmin ? req.query.user : caller,
+    })
+  );
+});
 
-    if (cliToUse === "gemini") {
-      command = "gemini";
-      args = ["--output-format", "stream-json"];
-      args.push("--model", modelToUse);
+/**
+ * Process pool statistics
+ */
+app.get("/api/pool", maybeAuth, (req, res) => {
+  res.json({
+    pools: getPoolStats(),
+    queueTimeout: CONFIG.POOL_QUEUE_TIMEOUT,
+    timestamp: new Date().toISOString(),
+  });
+});
 
-      let finalPrompt = prompt;
-      if (systemPrompt) {
-        finalPrompt = `System: ${systemPrompt}\n\nUser: ${prompt}`;
-      } else if (appendSystemPrompt) {
-        finalPrompt = `${appendSystemPrompt}\n\n${prompt}`;
+/**
+ * Submit an asynchronous job
+ */
+app.post(
+  "/api/jobs",
+  maybeAuth,
+  parseUploads,
+  expandTemplates,
+  async (req, res) => {
+    try {
+      const errors = validateRequest(req.body);
+      if (errors.length > 0) {
+        return sendValidationErrors(res, errors);
       }
-      args.push(finalPrompt);
-    } else {
-      command = "claude";
-      args = ["--print", "--output-format", "stream-json"];
-      if (includePartialMessages) args.push("--include-partial-messages");
-      args.push("--model", modelToUse);
-      if (systemPrompt) args.push("--system-prompt", systemPrompt);
-      if (appendSystemPrompt)
-        args.push("--append-system-prompt", appendSystemPrompt);
-      args.push(prompt);
-    }
-
-    res.setHeader("Content-Type", "application/x-ndjson");
-    res.setHeader("Transfer-Encoding", "chunked");
-    res.setHeader("Cache-Control", "no-cache");
-    res.setHeader("X-Accel-Buffering", "no");
 
-    const cliProcess = spawn(command, args, {
-      stdio: ["ignore", "pipe", "pipe"],
-      env: { ...process.env },
-      shell: false,
-    });
+      if (req.body.callbackUrl) {
+        return await submitCallbackJob(req, res, "process");
+      }
 
-    cliProcess.stdout.on("data", (data) => {
-      res.write(data);
-    });
+      const job = enqueueJob(req.body);
 
-    cliProcess.stderr.on("data", (data) => {
-      console.error(`[${command} stderr]`, data.toString());
-    });
+      res.status(202).json({
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/api/jobs/${job.id}`,
+      });
+    } catch (error) {
+      logger.error("Request failed", {
+        error: error.message,
+        stack: error.stack,
+      });
+      sendError(res, error, "Failed to submit job", { success: false });
+    }
+  }
+);
 
-    cliProcess.on("close", (code) => {
-      if (code !== 0) {
-        res.write(
-          JSON.stringify({ error: `Process exited with code ${code}` }) + "\n"
-        );
-      }
-      res.end();
-    });
+/**
+ * List jobs
+ */
+app.get("/api/jobs", maybeAuth, (req, res) => {
+  let list = Array.from(jobs.values()).filter((job) =>
+    isOwnedByCaller(req, job)
+  );
+  if (req.query.status) {
+    list = list.filter((job) => job.status === req.query.status);
+  }
 
-    cliProcess.on("error", (err) => {
-      console.error(`[${command}] Spawn error:`, err.message);
+  res.json({
+    jobs: list.map((job) => serializeJob(job, false)),
+    summary: {
+      total: list.length,
+      queued: jobQueue.length,
+      running: runningJobs.size,
+    },
+  });
+});
 
-      // Try fallback if enabled
-      if (CONFIG.ENABLE_FALLBACK && !req.body.disableFallback) {
-        const fallbackCLI = cliToUse === "claude" ? "gemini" : "claude";
-        console.log(`[Stream] Attempting fallback to ${fallbackCLI}...`);
+/**
+ * Get job status and result
+ */
+app.get("/api/jobs/:id", maybeAuth, (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job || !isOwnedByCaller(req, job)) {
+    return sendError(
+      res,
+      createAPIError("not_found", "Job not found"),
+      "Not Found"
+    );
+  }
 
-        // Restart with fallback CLI
-        req.body.cli = fallbackCLI;
-        req.body.disableFallback = true; // Prevent infinite loop
-        return app.handle(req, res);
-      }
+  res.json(serializeJob(job));
+});
 
-      res.write(JSON.stringify({ error: err.message }) + "\n");
-      res.end();
-    });
+/**
+ * Cancel a job, killing its CLI process if it is running
+ */
+app.delete("/api/jobs/:id", maybeAuth, (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job || !isOwnedByCaller(req, job)) {
+    return sendError(
+      res,
+      createAPIError("not_found", "Job not found"),
+      "Not Found"
+    );
+  }
 
-    // Handle client disconnect
-    req.on("close", () => {
-      cliProcess.kill("SIGTERM");
-    });
-  } catch (error) {
-    console.error("[Error]", error);
-    res.status(500).json({
-      error: "Failed to start streaming",
-      message: error.message,
-    });
+  if (!cancelJob(job)) {
+    return sendError(
+      res,
+      createAPIError("conflict", `Job already ${job.status}`),
+      "Conflict",
+      { job: serializeJob(job, false) }
+    );
   }
+
+  res.json({ success: true, jobId: job.id, status: "cancelled" });
 });
 
 /**
- * Batch processing endpoint
+ * OpenAI-compatible model list
  */
-app.post("/api/batch", maybeAuth, async (req, res) => {
-  try {
-    const { prompts, ...commonOptions } = req.body;
+app.get("/v1/models", maybeAuth, (req, res) => {
+  const created = Math.floor(Date.now() / 1000);
+  const data = [];
 
-    if (!prompts || !Array.isArray(prompts) || prompts.length === 0) {
-      return res.status(400).json({ error: "prompts array is required" });
+  for (const [cli, models] of Object.entries(OPENAI_MODELS)) {
+    for (const id of models) {
+      data.push({ id, object: "model", created, owned_by: cli });
     }
+  }
+
+  res.json({ object: "list", data });
+});
 
-    if (prompts.length > 10) {
-      return res.status(400).json({ error: "Maximum 10 prompts per batch" });
+/**
+ * OpenAI-compatible chat completions endpoint
+ */
+app.post("/v1/chat/completions", maybeAuth, async (req, res) => {
+  try {
+    const errors = validateChatCompletionRequest(req.body);
+    if (errors.length > 0) {
+      return sendOpenAIError(res, 400, errors.join("; "));
     }
 
-    const results = [];
-    const errors = [];
+    const { messages, model, stream = false, cli } = req.body;
+    const { prompt, systemPrompt } = messagesToPrompt(messages);
 
-    for (let i = 0; i < prompts.length; i++) {
-      try {
-        const prompt = prompts[i];
-        const result = await executeAICLI({
-          ...commonOptions,
-          prompt: typeof prompt === "string" ? prompt : prompt.prompt,
-          model: prompt.model || commonOptions.model,
-          systemPrompt: prompt.systemPrompt || commonOptions.systemPrompt,
-          cli: prompt.cli || commonOptions.cli,
-        });
+    const promptErrors = validateRequest({ prompt, model, cli });
+    if (promptErrors.length > 0) {
+      const { status, message } = summarizeValidationErrors(promptErrors);
+      return sendOpenAIError(
+        res,
+        status,
+        message,
+        status === 403 ? "permission_error" : "invalid_request_error"
+      );
+    }
 
-        const parsed = parseOutput(
-          result.stdout,
-          commonOptions.outputFormat || "json"
-        );
-        results.push({
-          index: i,
-          success: true,
-          data: parsed,
-          usedCLI: result.usedCLI,
-          fallbackUsed: result.fallbackUsed || false,
-        });
-      } catch (error) {
-        errors.push({
-          index: i,
-          success: false,
-          error: error.message,
-        });
-      }
+    const cliToUse =
+      cli || (model ? getCLIForModel(model) : getRequestCLI(req.body));
+    if (!isCLIAllowed(req, cliToUse)) {
+      return sendOpenAIError(
+        res,
+        403,
+        `API key is not allowed to use ${cliToUse}`,
+        "permission_error"
+      );
     }
+    if (stream && !providers.get(cliToUse).streaming) {
+      return sendOpenAIError(
+        res,
+        400,
+        `${cliToUse} does not support streaming`
+      );
+    }
+    const { disableFallback, allowedCLIs } = req.body;
+
+    if (stream) {
+      return await streamCLIEvents(
+        req,
+        res,
+        { prompt, systemPrompt, model, disableFallback, allowedCLIs },
+        cliToUse,
+        CONFIG.ENABLE_FALLBACK && !disableFallback,
+        (streamCLI) =>
+          createOpenAIStreamWriter(
+            res,
+            streamCLI,
+            model || getDefaultModel(streamCLI)
+          )
+      );
+    }
+
+    const result = await executeAICLI({
+      prompt,
+      systemPrompt,
+      model,
+      outputFormat: "json",
+      cli: cliToUse,
+      disableFallback,
+      allowedCLIs,
+    });
+
+    const parsed = parseOutput(result.stdout, "json");
+    const usage = extractUsage(parsed, result.usedCLI);
 
     res.json({
-      success: errors.length === 0,
-      results,
-      errors: errors.length > 0 ? errors : undefined,
-      summary: {
-        total: prompts.length,
-        successful: results.length,
-        failed: errors.length,
+      id: `chatcmpl-${crypto.randomUUID()}`,
+      object: "chat.completion",
+      created: Math.floor(Date.now() / 1000),
+      model: model || getDefaultModel(result.usedCLI),
+      choices: [
+        {
+          index: 0,
+          message: {
+            role: "assistant",
+            content: extractResultText(parsed, result.usedCLI),
+          },
+          finish_reason: "stop",
+        },
+      ],
+      usage: {
+        prompt_tokens: usage.inputTokens,
+        completion_tokens: usage.outputTokens,
+        total_tokens: usage.inputTokens + usage.outputTokens,
+      },
+      _meta: {
+        usedCLI: result.usedCLI,
+        fallbackUsed: result.fallbackUsed || false,
       },
     });
   } catch (error) {
-    console.error("[Error]", error);
-    res.status(500).json({
-      error: "Failed to process batch",
-      message: error.message,
+    logger.error("Request failed", {
+      error: error.message,
+      stack: error.stack,
     });
+    sendOpenAIFailure(res, error);
   }
 });
 
 /**
- * Test AI CLI availability
+ * Anthropic Messages API compatible endpoint
  */
-app.get("/api/test", maybeAuth, async (req, res) => {
-  const cliToTest = req.query.cli || CONFIG.DEFAULT_CLI;
-
+app.post("/v1/messages", maybeAuth, async (req, res) => {
   try {
-    const result = await executeAICLI(
-      {
-        prompt: `Say "Hello from ${
-          cliToTest === "gemini" ? "Gemini" : "Claude"
-        } CLI API!"`,
-        outputFormat: "text",
-        disableFallback: true, // Don't use fallback for testing
-      },
-      cliToTest
+    const errors = validateMessagesRequest(req.body);
+    if (errors.length > 0) {
+      return sendAnthropicError(res, 400, errors.join("; "));
+    }
+
+    const { system, messages, model, stream = false, cli } = req.body;
+    const { prompt, systemPrompt } = messagesToPrompt(
+      system ? [{ role: "system", content: system }, ...messages] : messages
     );
 
+    const promptErrors = validateRequest({ prompt, model, cli });
+    if (promptErrors.length > 0) {
+      const { status, message } = summarizeValidationErrors(promptErrors);
+      return sendAnthropicError(
+        res,
+        status,
+        message,
+        status === 403 ? "permission_error" : "invalid_request_error"
+      );
+    }
+
+    const cliToUse =
+      cli || (model ? getCLIForModel(model) : getRequestCLI(req.body));
+    if (!isCLIAllowed(req, cliToUse)) {
+      return sendAnthropicError(
+        res,
+        403,
+        `API key is not allowed to use ${cliToUse}`,
+        "permission_error"
+      );
+    }
+    if (stream && !providers.get(cliToUse).streaming) {
+      return sendAnthropicError(
+        res,
+        400,
+        `${cliToUse} does not support streaming`
+      );
+    }
+    const { disableFallback, allowedCLIs } = req.body;
+
+    if (stream) {
+      return await streamCLIEvents(
+        req,
+        res,
+        {
+          prompt,
+          systemPrompt,
+          model,
+          includePartialMessages: true,
+          disableFallback,
+          allowedCLIs,
+        },
+        cliToUse,
+        CONFIG.ENABLE_FALLBACK && !disableFallback,
+        (streamCLI) =>
+          createAnthropicStreamWriter(
+            res,
+            streamCLI,
+            model || getDefaultModel(streamCLI)
+          )
+      );
+    }
+
+    const result = await executeAICLI({
+      prompt,
+      systemPrompt,
+      model,
+      outputFormat: "json",
+      cli: cliToUse,
+      disableFallback,
+      allowedCLIs,
+    });
+
+    const parsed = parseOutput(result.stdout, "json");
+    const usage = extractUsage(parsed, result.usedCLI);
+
     res.json({
-      success: true,
-      message: `${
-        cliToTest === "gemini" ? "Gemini" : "Claude"
-      } CLI is working correctly`,
-      response: result.stdout.trim(),
-      usedCLI: result.usedCLI,
+      id: `msg_${crypto.randomUUID().replace(/-/g, "")}`,
+      type: "message",
+      role: "assistant",
+      model: model || getDefaultModel(result.usedCLI),
+      content: [
+        { type: "text", text: extractResultText(parsed, result.usedCLI) },
+      ],
+      stop_reason: "end_turn",
+      stop_sequence: null,
+      usage: {
+        input_tokens: usage.inputTokens,
+        output_tokens: usage.outputTokens,
+      },
+      _meta: {
+        usedCLI: result.usedCLI,
+        fallbackUsed: result.fallbackUsed || false,
+      },
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: `${
-        cliToTest === "gemini" ? "Gemini" : "Claude"
-      } CLI is not available or not working`,
+    logger.error("Request failed", {
       error: error.message,
+      stack: error.stack,
     });
+    sendAnthropicFailure(res, error);
   }
 });
 
@@ -795,62 +7560,122 @@ app.get("/api/test", maybeAuth, async (req, res) => {
 
 // 404 handler
 app.use((req, res) => {
-  res.status(404).json({
-    error: "Not Found",
-    message: `Route ${req.method} ${req.path} not found`,
-  });
+  sendError(
+    res,
+    createAPIError("not_found", `Route ${req.method} ${req.path} not found`),
+    "Not Found"
+  );
 });
 
 // Global error handler
 app.use((err, req, res, next) => {
-  console.error("[Global Error]", err);
-  res.status(err.status || 500).json({
-    error: "Internal Server Error",
-    message: err.message,
-  });
+  logger.error("Unhandled error", { error: err.message, stack: err.stack });
+  sendError(
+    res,
+    err,
+    err.status < 500 ? "Invalid request" : "Internal Server Error"
+  );
 });
 
 // ===========================
 // START SERVER
 // ===========================
 
-app.listen(CONFIG.PORT, "0.0.0.0", () => {
-  console.log("=".repeat(50));
-  console.log("AI CLI API Server (Claude Code & Gemini CLI)");
-  console.log("=".repeat(50));
-  console.log(`Port: ${CONFIG.PORT}`);
-  console.log(
-    `Authentication: ${CONFIG.AUTH_ENABLED ? "ENABLED" : "DISABLED"}`
-  );
-  console.log(`Default CLI: ${CONFIG.DEFAULT_CLI.toUpperCase()}`);
-  console.log(`Fallback: ${CONFIG.ENABLE_FALLBACK ? "ENABLED" : "DISABLED"}`);
-  console.log(`Default Model: ${getDefaultModel(CONFIG.DEFAULT_CLI)}`);
-  console.log(
-    `Rate Limit: ${CONFIG.RATE_LIMIT_MAX} requests per ${
+loadPolicy();
+loadProviders();
+loadTemplates();
+loadApiKeys();
+loadJobs();
+loadSessions();
+loadUsage();
+loadDiskCache();
+processJobQueue();
+
+const server = app.listen(CONFIG.PORT, "0.0.0.0", () => {
+  logger.info("AI CLI API Server (Claude Code & Gemini CLI) started", {
+    port: CONFIG.PORT,
+    authEnabled: CONFIG.AUTH_ENABLED,
+    defaultCLI: CONFIG.DEFAULT_CLI,
+    fallbackEnabled: CONFIG.ENABLE_FALLBACK,
+    defaultModel: getDefaultModel(CONFIG.DEFAULT_CLI),
+    rateLimit: `${CONFIG.RATE_LIMIT_MAX} requests per ${
       CONFIG.RATE_LIMIT_WINDOW / 60000
-    } minutes`
-  );
-  console.log("=".repeat(50));
-  console.log("Endpoints:");
-  console.log(`  GET  /health`);
-  console.log(`  GET  /api/info`);
-  console.log(`  GET  /api/test?cli=claude|gemini`);
-  console.log(`  POST /api/ask`);
-  console.log(`  POST /api/process`);
-  console.log(`  POST /api/stream`);
-  console.log(`  POST /api/batch`);
-  console.log("=".repeat(50));
-  console.log(`Server is running on port ${CONFIG.PORT}`);
-  console.log("=".repeat(50));
-});
-
-// Graceful shutdown
-process.on("SIGTERM", () => {
-  console.log("SIGTERM received, shutting down gracefully...");
-  process.exit(0);
+    } minutes`,
+    endpoints: [
+      "GET /health",
+      "GET /livez",
+      "GET /readyz",
+      "GET /metrics",
+      "GET /api/info",
+      "GET /api/test?cli=<provider>",
+      "POST /api/ask",
+      "POST /api/process",
+      "POST /api/stream",
+      "POST /api/batch",
+      "POST /api/batch/stream",
+      "POST /api/sessions",
+      "POST /api/sessions/:id/messages",
+      "GET /api/sessions/:id",
+      "DEL /api/sessions/:id",
+      "GET /api/pool",
+      "GET /api/usage",
+      "* /api/admin/keys[/:id]",
+      "* /api/templates[/:name]",
+      "DEL /api/admin/cache",
+      "POST /api/admin/breakers/:cli/reset",
+      "POST /api/jobs",
+      "GET /api/jobs[/:id]",
+      "DEL /api/jobs/:id",
+      "GET /v1/models",
+      "POST /v1/chat/completions",
+      "POST /v1/messages",
+      "WS /api/ws",
+    ],
+  });
 });
+server.on("upgrade", handleUpgrade);
+
+/**
+ * Graceful shutdown: stop accepting work, let in-flight requests, streams and
+ * jobs finish within SHUTDOWN_GRACE_PERIOD, then stop the CLI processes left.
+ * A second signal skips the wait.
+ */
+async function shutdown(signal) {
+  if (shuttingDown) {
+    logger.warn(`${signal} received again, exiting now`);
+    for (const proc of childProcesses) proc.kill("SIGKILL");
+    process.exit(1);
+  }
+
+  shuttingDown = true;
+  logger.info(`${signal} received, shutting down gracefully...`, {
+    inFlightRequests,
+    runningJobs: runningJobs.size,
+    gracePeriod: CONFIG.SHUTDOWN_GRACE_PERIOD,
+  });
+
+  server.close();
+  rejectQueuedWork();
 
-process.on("SIGINT", () => {
-  console.log("SIGINT received, shutting down gracefully...");
+  const drained = await waitFor(
+    () => inFlightRequests === 0 && runningJobs.size === 0,
+    CONFIG.SHUTDOWN_GRACE_PERIOD
+  );
+  if (!drained) {
+    logger.warn("Grace period ended with work still running", {
+      inFlightRequests,
+      runningJobs: runningJobs.size,
+    });
+  }
+
+  await terminateChildren();
+
+  // Give interrupted requests a moment to send their retryable errors
+  await waitFor(() => inFlightRequests === 0 && runningJobs.size === 0, 1000);
+  await saveApiKeys(); // Usage counts still waiting for their save
+  logger.info("Shutdown complete");
   process.exit(0);
-});
+}
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
@@ -0,0 +1,60 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startServer } = require("./helpers");
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.stop());
+
+const messages = (body) =>
+  server.request("POST", "/v1/messages", {
+    body: {
+      max_tokens: 100,
+      messages: [{ role: "user", content: "hello" }],
+      ...body,
+    },
+  });
+
+test("messages answer in the Anthropic shape", async () => {
+  const res = await messages({ model: "gemini-2.5-flash" });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.type, "message");
+  assert.strictEqual(res.body.role, "assistant");
+  assert.deepStrictEqual(res.body.content, [
+    { type: "text", text: "gemini gemini-2.5-flash: hello" },
+  ]);
+  assert.strictEqual(res.body._meta.usedCLI, "gemini");
+});
+
+test("streams emit the Anthropic event sequence", async () => {
+  const res = await messages({ model: "sonnet", stream: true });
+  assert.strictEqual(res.status, 200);
+  const events = [...res.body.matchAll(/^event: (\w+)$/gm)].map(
+    (match) => match[1]
+  );
+  assert.strictEqual(events[0], "message_start");
+  assert.ok(events.includes("content_block_delta"));
+  assert.strictEqual(events[events.length - 1], "message_stop");
+});
+
+test("invalid requests get an invalid_request_error", async () => {
+  const res = await messages({ max_tokens: undefined });
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(res.body.type, "error");
+  assert.strictEqual(res.body.error.type, "invalid_request_error");
+});
+
+test("unknown CLIs are rejected before anything runs", async () => {
+  const runs = server.cliRuns().length;
+
+  for (const stream of [false, true]) {
+    const res = await messages({ cli: "foo", stream });
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.type, "error");
+    assert.strictEqual(res.body.error.type, "invalid_request_error");
+    assert.match(res.body.error.message, /cli must be one of/);
+  }
+  assert.strictEqual(server.cliRuns().length, runs);
+});
@@ -0,0 +1,120 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startServer } = require("./helpers");
+
+let server;
+before(async () => {
+  server = await startServer({ ATTACHMENT_MAX_SIZE: "16" });
+});
+after(() => server.stop());
+
+const base64 = (text) => Buffer.from(text).toString("base64");
+const attachment = (name, text, mimeType = "text/plain") => ({
+  name,
+  mimeType,
+  content: base64(text),
+});
+
+test("attachments are written to the workspace and referenced", async () => {
+  for (const cli of ["claude", "gemini"]) {
+    const res = await server.request("POST", "/api/process", {
+      body: {
+        prompt: "READ:attachments/2-my_notes.txt",
+        cli,
+        attachments: [
+          attachment("photo.png", "png", "image/png"),
+          attachment("../my notes.txt", "notes"),
+        ],
+      },
+    });
+    assert.strictEqual(res.status, 200, cli);
+    assert.strictEqual(res.body.data.text.trim(), "notes");
+
+    const prompt = server.cliRuns().at(-1).args.at(-1);
+    assert.match(
+      prompt,
+      /\n\nAttached files:\n@attachments\/1-photo\.png\n@attachments\/2-my_notes\.txt$/
+    );
+  }
+});
+
+test("invalid attachments are rejected before a CLI runs", async () => {
+  const cases = [
+    ["not a list", /attachments must be an array/],
+    [[{ mimeType: "text/plain", content: base64("x") }], /must have a name/],
+    [[{ name: "a.txt", content: base64("x") }], /a\.txt must have a mimeType/],
+    [
+      [attachment("a.exe", "x", "application/x-msdownload")],
+      /a\.exe type application\/x-msdownload is not allowed/,
+    ],
+    [[{ name: "a.txt", mimeType: "text/plain" }], /must be a base64 string/],
+    [[attachment("big.txt", "x".repeat(17))], /big\.txt exceeds 16 bytes/],
+    [
+      Array.from({ length: 6 }, (_, i) => attachment(`${i}.txt`, "x")),
+      /Maximum 5 attachments per request/,
+    ],
+  ];
+
+  const runs = server.cliRuns().length;
+  for (const [attachments, message] of cases) {
+    const res = await server.request("POST", "/api/process", {
+      body: { prompt: "hello", attachments },
+    });
+    assert.strictEqual(res.status, 400, String(message));
+    assert.match(res.body.message, message);
+  }
+  assert.strictEqual(server.cliRuns().length, runs);
+});
+
+test("image types match image/* entries", async () => {
+  const res = await server.request("POST", "/api/process", {
+    body: {
+      prompt: "hello",
+      attachments: [attachment("a.svg", "<svg/>", "image/svg+xml")],
+    },
+  });
+  // The default list names image types one by one
+  assert.strictEqual(res.status, 400);
+
+  const wildcard = await startServer({ ATTACHMENT_ALLOWED_TYPES: "image/*" });
+  try {
+    const allowed = await wildcard.request("POST", "/api/process", {
+      body: {
+        prompt: "hello",
+        attachments: [attachment("a.svg", "<svg/>", "image/svg+xml")],
+      },
+    });
+    assert.strictEqual(allowed.status, 200);
+  } finally {
+    await wildcard.stop();
+  }
+});
+
+test("multipart attachments are handled like JSON ones", async () => {
+  const form = new FormData();
+  form.append("prompt", "READ:attachments/1-upload.txt");
+  form.append(
+    "attachments",
+    new Blob(["uploaded"], { type: "text/plain" }),
+    "upload.txt"
+  );
+  const res = await fetch(`${server.url}/api/process`, {
+    method: "POST",
+    body: form,
+  });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual((await res.json()).data.text.trim(), "uploaded");
+
+  const rejected = new FormData();
+  rejected.append("prompt", "hello");
+  rejected.append(
+    "attachments",
+    new Blob(["MZ"], { type: "application/x-msdownload" }),
+    "a.exe"
+  );
+  const bad = await fetch(`${server.url}/api/process`, {
+    method: "POST",
+    body: rejected,
+  });
+  assert.strictEqual(bad.status, 400);
+});
@@ -0,0 +1,195 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const WebSocket = require("ws");
+const { startServer, ADMIN } = require("./helpers");
+
+const FAKE_CLI = path.join(__dirname, "fixtures", "fake-cli.js");
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.stop());
+
+const lastRun = () => {
+  const runs = server.cliRuns().filter((run) => run.event === "start");
+  return runs[runs.length - 1];
+};
+const chat = (model, headers) =>
+  server.request("POST", "/v1/chat/completions", {
+    body: { model, messages: [{ role: "user", content: "hello" }] },
+    headers,
+  });
+
+test("scoped keys route OpenAI requests by model", async () => {
+  const both = await server.createApiKey({
+    name: "both",
+    clis: ["claude", "gemini"],
+  });
+
+  const res = await chat("gemini-2.5-flash", both);
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body._meta.usedCLI, "gemini");
+  assert.strictEqual(lastRun().cli, "gemini");
+  assert.ok(lastRun().args.includes("gemini-2.5-flash"));
+});
+
+test("scoped keys can't reach other CLIs through the model name", async () => {
+  const claudeOnly = await server.createApiKey({
+    name: "claude-only",
+    clis: ["claude"],
+  });
+  const runs = server.cliRuns().length;
+
+  const res = await chat("gemini-2.5-flash", claudeOnly);
+  assert.strictEqual(res.status, 403);
+  assert.strictEqual(res.body.error.type, "permission_error");
+
+  const messages = await server.request("POST", "/v1/messages", {
+    body: {
+      model: "gemini-2.5-pro",
+      max_tokens: 100,
+      messages: [{ role: "user", content: "hello" }],
+    },
+    headers: claudeOnly,
+  });
+  assert.strictEqual(messages.status, 403);
+  assert.strictEqual(server.cliRuns().length, runs);
+});
+
+test("requests without a cli use a CLI the key allows", async () => {
+  const geminiOnly = await server.createApiKey({
+    name: "gemini-only",
+    clis: ["gemini"],
+  });
+
+  const res = await server.request("POST", "/api/ask", {
+    body: { prompt: "hello" },
+    headers: geminiOnly,
+  });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(lastRun().cli, "gemini");
+});
+
+test("template CLIs are kept and checked against the key's scopes", async () => {
+  const created = await server.request("POST", "/api/templates", {
+    body: { name: "greet", prompt: "Say hi to {{name}}", cli: "gemini" },
+    headers: ADMIN,
+  });
+  assert.strictEqual(created.status, 201);
+  const body = { template: "greet", variables: { name: "Ada" } };
+
+  const both = await server.createApiKey({
+    name: "templates",
+    clis: ["claude", "gemini"],
+  });
+  const res = await server.request("POST", "/api/ask", {
+    body,
+    headers: both,
+  });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(lastRun().cli, "gemini");
+
+  const claudeOnly = await server.createApiKey({
+    name: "templates-claude",
+    clis: ["claude"],
+  });
+  const denied = await server.request("POST", "/api/ask", {
+    body,
+    headers: claudeOnly,
+  });
+  assert.strictEqual(denied.status, 403);
+  assert.strictEqual(denied.body.code, "forbidden");
+});
+
+test("stream fallback after a spawn failure charges the key once", async (t) => {
+  // Only gemini is installed, so claude fails to spawn
+  const bin = fs.mkdtempSync(path.join(server.dir, "bin-"));
+  fs.writeFileSync(
+    path.join(bin, "gemini"),
+    `#!/bin/sh\nexec "${process.execPath}" "${FAKE_CLI}" gemini "$@"\n`,
+    { mode: 0o755 }
+  );
+  const geminiOnly = await startServer({
+    PATH: [bin, "/usr/bin", "/bin"].join(path.delimiter),
+  });
+  t.after(() => geminiOnly.stop());
+
+  const key = await geminiOnly.createApiKey({ name: "stream", dailyQuota: 5 });
+  const res = await geminiOnly.request("POST", "/api/stream", {
+    body: { prompt: "hello", cli: "claude" },
+    headers: key,
+  });
+  assert.strictEqual(res.status, 200);
+  const events = res.body.trim().split("\n").map(JSON.parse);
+  assert.strictEqual(events[0].type, "start");
+  assert.strictEqual(events[events.length - 1].type, "done");
+  assert.deepStrictEqual(
+    geminiOnly.cliRuns().map((run) => [run.event, run.cli]),
+    [
+      ["start", "gemini"],
+      ["exit", "gemini"],
+    ]
+  );
+
+  const keys = await geminiOnly.request("GET", "/api/admin/keys", {
+    headers: ADMIN,
+  });
+  const [record] = keys.body.keys.filter((k) => k.name === "stream");
+  assert.strictEqual(record.usage.count, 1);
+});
+
+test("interactive start frames outside a key's scope get a forbidden error", async () => {
+  const key = await server.createApiKey({ name: "interactive" });
+  const ws = new WebSocket(`${server.url.replace("http", "ws")}/api/ws`, {
+    headers: key,
+  });
+  await new Promise((resolve, reject) => {
+    ws.once("open", resolve);
+    ws.once("error", reject);
+  });
+
+  const frame = new Promise((resolve) =>
+    ws.once("message", (data) => resolve(JSON.parse(data)))
+  );
+  const closed = new Promise((resolve) => ws.once("close", resolve));
+  ws.send(JSON.stringify({ type: "start", dangerouslySkipPermissions: true }));
+
+  const error = await frame;
+  assert.strictEqual(error.type, "error");
+  assert.strictEqual(error.code, "forbidden");
+  assert.deepStrictEqual(
+    error.errors.map((violation) => violation.code),
+    ["forbidden"]
+  );
+  assert.strictEqual(await closed, 1008);
+});
+
+test("key usage is saved in the background and survives a restart", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ai-cli-api-keys-"));
+  const API_KEYS_FILE = path.join(dir, "api-keys.json");
+  const ask = (target, headers) =>
+    target.request("POST", "/api/ask", { body: { prompt: "hello" }, headers });
+
+  const first = await startServer({ API_KEYS_FILE });
+  const key = await first.createApiKey({ name: "limited", dailyQuota: 2 });
+  assert.strictEqual((await ask(first, key)).status, 200);
+  assert.strictEqual((await ask(first, key)).status, 200);
+  await first.stop();
+
+  const [saved] = JSON.parse(fs.readFileSync(API_KEYS_FILE, "utf8"));
+  assert.strictEqual(saved.usage.count, 2);
+
+  const second = await startServer({ API_KEYS_FILE });
+  try {
+    const res = await ask(second, key);
+    assert.strictEqual(res.status, 429);
+    assert.strictEqual(res.body.code, "quota_exceeded");
+  } finally {
+    await second.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,38 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startServer } = require("./helpers");
+
+let server;
+before(async () => {
+  server = await startServer({ CACHE_ENABLED: "true" });
+});
+after(() => server.stop());
+
+test("batch prompts are validated one by one", async () => {
+  for (const [item, message] of [
+    [{}, /prompts\[1\]: prompt is required/],
+    [null, /prompts\[1\]: prompt is required/],
+    [{ prompt: 5 }, /prompts\[1\]: prompt must be a string/],
+    [{ prompt: "hi", cli: "nope" }, /prompts\[1\]: cli must be one of/],
+  ]) {
+    const res = await server.request("POST", "/api/batch", {
+      body: { prompts: ["fine", item] },
+    });
+    assert.strictEqual(res.status, 400, JSON.stringify(item));
+    assert.strictEqual(res.body.code, "invalid_request");
+    assert.match(res.body.message, message);
+  }
+  assert.deepStrictEqual(server.cliRuns(), []);
+
+  const res = await server.request("POST", "/api/batch", {
+    body: { prompts: ["one", { prompt: "two", cli: "gemini" }] },
+  });
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(
+    res.body.results.map((result) => [result.success, result.usedCLI]),
+    [
+      [true, "claude"],
+      [true, "gemini"],
+    ]
+  );
+});
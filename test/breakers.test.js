@@ -0,0 +1,47 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startServer } = require("./helpers");
+
+let server;
+before(async () => {
+  server = await startServer({
+    BREAKER_FAILURE_THRESHOLD: "2",
+    RETRY_MAX: "0",
+  });
+});
+after(() => server.stop());
+
+async function claudeBreaker() {
+  const { body } = await server.request("GET", "/api/info");
+  return body.circuitBreakers.claude;
+}
+
+test("client errors from the CLI don't open the breaker", async () => {
+  for (let i = 0; i < 3; i++) {
+    const res = await server.request("POST", "/api/ask", {
+      body: { prompt: "hello", model: "unknown-model", disableFallback: true },
+    });
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.code, "invalid_model");
+  }
+
+  const breaker = await claudeBreaker();
+  assert.strictEqual(breaker.state, "closed");
+  assert.strictEqual(breaker.consecutiveFailures, 0);
+
+  const res = await server.request("POST", "/api/ask", {
+    body: { prompt: "hello", disableFallback: true },
+  });
+  assert.strictEqual(res.status, 200);
+});
+
+test("provider failures still open the breaker", async () => {
+  for (let i = 0; i < 2; i++) {
+    const res = await server.request("POST", "/api/ask", {
+      body: { prompt: "CRASH", disableFallback: true },
+    });
+    assert.strictEqual(res.status, 502);
+  }
+
+  assert.strictEqual((await claudeBreaker()).state, "open");
+});
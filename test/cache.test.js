@@ -0,0 +1,44 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { startServer } = require("./helpers");
+
+test("fallback answers are cached for the CLI that gave them", async (t) => {
+  const server = await startServer({
+    CACHE_ENABLED: "true",
+    FAKE_CLI_FAIL: "claude",
+  });
+  t.after(() => server.stop());
+
+  const ask = async (cli) => {
+    const res = await server.request("POST", "/api/process", {
+      body: { prompt: "hello", cli },
+    });
+    assert.strictEqual(res.status, 200);
+    return [res.body.metadata.usedCLI, res.body.metadata.cache];
+  };
+
+  assert.deepStrictEqual(await ask("claude"), ["gemini", "miss"]);
+  assert.deepStrictEqual(await ask("claude"), ["gemini", "miss"]);
+  assert.deepStrictEqual(await ask("gemini"), ["gemini", "hit"]);
+});
+
+test("the disk cache keeps only the most recently used entries", async (t) => {
+  const server = await startServer({
+    CACHE_ENABLED: "true",
+    CACHE_DIR: "cache",
+    CACHE_DIR_MAX_ENTRIES: "2",
+  });
+  t.after(() => server.stop());
+
+  for (const prompt of ["one", "two", "one", "three"]) {
+    const res = await server.request("POST", "/api/process", {
+      body: { prompt },
+    });
+    assert.strictEqual(res.status, 200);
+  }
+
+  const files = fs.readdirSync(path.join(server.dir, "cache"));
+  assert.strictEqual(files.length, 2);
+});
@@ -0,0 +1,74 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { startServer } = require("./helpers");
+
+test("callbacks to loopback, private and metadata addresses are refused", async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  for (const callbackUrl of [
+    "http://127.0.0.1:9/hook",
+    "http://localhost:9/hook",
+    "http://[::1]:9/hook",
+    "http://10.1.2.3/hook",
+    "http://169.254.169.254/latest/meta-data",
+  ]) {
+    const res = await server.request("POST", "/api/process", {
+      body: { prompt: "hello", callbackUrl },
+    });
+    assert.strictEqual(res.status, 400, callbackUrl);
+    assert.strictEqual(res.body.code, "invalid_request");
+    assert.match(res.body.message, /private or reserved address/);
+  }
+  assert.deepStrictEqual(server.cliRuns(), []);
+});
+
+test("allowed hosts get signed callbacks without the secret being stored", async (t) => {
+  const deliveries = [];
+  const receiver = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      deliveries.push({ headers: req.headers, body });
+      res.end();
+    });
+  });
+  await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+  t.after(() => receiver.close());
+
+  const server = await startServer({ WEBHOOK_ALLOWED_HOSTS: "127.0.0.1" });
+  t.after(() => server.stop());
+
+  const secret = "shared-secret-123";
+  const submitted = await server.request("POST", "/api/process", {
+    body: {
+      prompt: "hello",
+      callbackUrl: `http://127.0.0.1:${receiver.address().port}/hook`,
+      callbackSecret: secret,
+    },
+  });
+  assert.strictEqual(submitted.status, 202);
+
+  for (let i = 0; deliveries.length === 0 && i < 100; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  assert.strictEqual(deliveries.length, 1);
+
+  const [{ headers, body }] = deliveries;
+  const expected = crypto
+    .createHmac("sha256", secret)
+    .update(body)
+    .digest("hex");
+  assert.strictEqual(headers["x-webhook-signature"], `sha256=${expected}`);
+
+  const job = await server.request("GET", `/api/jobs/${submitted.body.jobId}`);
+  assert.strictEqual(job.body.callback.status, "delivered");
+  assert.ok(!JSON.stringify(job.body).includes(secret));
+
+  const stored = fs.readFileSync(path.join(server.dir, "jobs.json"), "utf8");
+  assert.ok(!stored.includes(secret));
+});
@@ -0,0 +1,67 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startServer } = require("./helpers");
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.stop());
+
+const run = (body) =>
+  server.request("POST", "/api/process", {
+    body: { prompt: "hello", disableFallback: true, ...body },
+  });
+
+test("Claude and Gemini answers share one envelope", async () => {
+  const claude = await run({ cli: "claude", model: "sonnet" });
+  const gemini = await run({ cli: "gemini", model: "gemini-2.5-flash" });
+
+  for (const res of [claude, gemini]) {
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(Object.keys(res.body.data).sort(), [
+      "cli",
+      "durationMs",
+      "model",
+      "sessionId",
+      "stopReason",
+      "text",
+      "toolCalls",
+      "usage",
+    ]);
+    assert.deepStrictEqual(res.body.data.toolCalls, []);
+    assert.strictEqual(res.body.data.usage.inputTokens, 10);
+    assert.strictEqual(res.body.data.usage.outputTokens, 5);
+    assert.strictEqual(typeof res.body.data.durationMs, "number");
+  }
+
+  assert.strictEqual(claude.body.data.text, "claude sonnet: hello");
+  assert.strictEqual(claude.body.data.cli, "claude");
+  assert.strictEqual(claude.body.data.sessionId, "test-session");
+  assert.strictEqual(gemini.body.data.text, "gemini gemini-2.5-flash: hello");
+  assert.strictEqual(gemini.body.data.cli, "gemini");
+  assert.strictEqual(gemini.body.data.model, "gemini-2.5-flash");
+});
+
+test("text and stream-json output are normalized too", async () => {
+  const text = await run({ outputFormat: "text", model: "sonnet" });
+  assert.strictEqual(text.status, 200);
+  assert.strictEqual(text.body.data.text, "claude sonnet: hello");
+  assert.strictEqual(text.body.data.sessionId, null);
+
+  const streamed = await run({ outputFormat: "stream-json", model: "sonnet" });
+  assert.strictEqual(streamed.status, 200);
+  assert.strictEqual(streamed.body.data.text, "claude sonnet: hello");
+  assert.strictEqual(streamed.body.data.usage.outputTokens, 5);
+});
+
+test("raw returns the CLI's own output", async () => {
+  const res = await run({
+    cli: "gemini",
+    model: "gemini-2.5-flash",
+    raw: true,
+  });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.data.response, "gemini gemini-2.5-flash: hello");
+  assert.strictEqual(res.body.data.text, undefined);
+});
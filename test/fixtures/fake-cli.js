@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+// Stand-in for the claude and gemini CLIs. The prompt steers it:
+// "FAIL_RATE" fails like a usage limit, "CRASH" fails without a known cause,
+// "SLEEP:<ms>" waits before answering, "READ:<path>" answers with that file
+// from its working directory, and "RETRY:<text>" is the whole answer to a
+// structured-output retry. The model "unknown-model" is rejected,
+// and CLIs named in FAKE_CLI_FAIL (comma-separated) always hit a usage limit.
+// With --input-format stream-json it answers each user message read from
+// stdin until stdin closes. Runs are logged as JSON lines to FAKE_CLI_LOG
+// when it is set.
+const fs = require("fs");
+
+const [cli, ...args] = process.argv.slice(2);
+const option = (name) => {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : undefined;
+};
+const log = (event) => {
+  if (process.env.FAKE_CLI_LOG) {
+    fs.appendFileSync(
+      process.env.FAKE_CLI_LOG,
+      JSON.stringify({ event, cli, pid: process.pid, args }) + "\n"
+    );
+  }
+};
+
+if (args.includes("--version")) {
+  console.log(`${cli} 0.0.0-test`);
+  process.exit(0);
+}
+
+const prompt = args[args.length - 1];
+const model = option("--model");
+const format = option("--output-format") || "text";
+const fail = (message) => {
+  log("exit");
+  process.stderr.write(`${message}\n`);
+  process.exit(1);
+};
+
+log("start");
+process.on("SIGTERM", () => {
+  log("sigterm");
+  process.exit(143);
+});
+
+if ((process.env.FAKE_CLI_FAIL || "").split(",").includes(cli)) {
+  fail("Error: usage limit reached");
+}
+if (model === "unknown-model") fail(`Error: unknown model ${model}`);
+if (prompt.includes("FAIL_RATE")) fail("Error: usage limit reached");
+if (prompt.includes("CRASH")) fail("Error: something broke");
+
+if (option("--input-format") === "stream-json") {
+  let buffered = "";
+  process.stdin.on("data", (data) => {
+    const lines = (buffered + data).split("\n");
+    buffered = lines.pop();
+    for (const line of lines.filter(Boolean)) {
+      const { type, message } = JSON.parse(line);
+      if (type !== "user") continue;
+      const answer = `${cli} ${model}: ${message.content}`;
+      console.log(
+        JSON.stringify({
+          type: "stream_event",
+          event: {
+            type: "content_block_delta",
+            index: 0,
+            delta: { type: "text_delta", text: answer },
+          },
+        })
+      );
+      console.log(
+        JSON.stringify({
+          type: "result",
+          subtype: "success",
+          result: answer,
+          session_id: "test-session",
+          usage: { input_tokens: 10, output_tokens: 5 },
+        })
+      );
+    }
+  });
+  process.stdin.on("end", () => {
+    log("exit");
+    process.exit(0);
+  });
+  return;
+}
+
+const sleep = Number((prompt.match(/SLEEP:(\d+)/) || [])[1] || 0);
+const retry = prompt.includes("Respond again with only JSON")
+  ? prompt.match(/RETRY:(\S+)/)
+  : null;
+const read = prompt.match(/READ:(\S+)/);
+const text = retry
+  ? retry[1]
+  : read
+    ? fs.readFileSync(read[1], "utf8")
+    : `${cli} ${model}: ${prompt}`;
+const out = (event) => console.log(JSON.stringify(event));
+
+setTimeout(() => {
+  if (format === "json" && cli === "gemini") {
+    out({
+      response: text,
+      stats: { models: { [model]: { tokens: { prompt: 10, candidates: 5 } } } },
+    });
+  } else if (format === "json") {
+    out({
+      type: "result",
+      subtype: "success",
+      result: text,
+      session_id: "test-session",
+      usage: { input_tokens: 10, output_tokens: 5 },
+      total_cost_usd: 0.01,
+    });
+  } else if (format === "stream-json" && cli === "gemini") {
+    out({ type: "init", session_id: "test-session", model });
+    out({ type: "message", role: "assistant", content: text });
+    out({
+      type: "result",
+      status: "success",
+      stats: { input_tokens: 10, output_tokens: 5 },
+    });
+  } else if (format === "stream-json") {
+    out({ type: "system", subtype: "init", session_id: "test-session" });
+    out({
+      type: "stream_event",
+      event: {
+        type: "content_block_delta",
+        index: 0,
+        delta: { type: "text_delta", text },
+      },
+    });
+    out({
+      type: "result",
+      subtype: "success",
+      result: text,
+      session_id: "test-session",
+      usage: { input_tokens: 10, output_tokens: 5 },
+      total_cost_usd: 0.01,
+    });
+  } else {
+    console.log(text);
+  }
+  log("exit");
+}, sleep);
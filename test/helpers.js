@@ -0,0 +1,168 @@
+const { spawn } = require("child_process");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+
+const SERVER = path.join(__dirname, "..", "server.js");
+const FAKE_BIN = path.join(__dirname, "fixtures", "bin");
+const ADMIN = { Authorization: "Bearer admin-secret" };
+
+/**
+ * Find a free TCP port
+ */
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once("error", reject);
+    probe.listen(0, "127.0.0.1", () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Start the server in a child process with the fake claude and gemini CLIs
+ * on PATH and all of its state in a temporary directory
+ * @param {Object} [env] - Extra environment variables
+ */
+async function startServer(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ai-cli-api-test-"));
+  const port = await getFreePort();
+  const cliLog = path.join(dir, "cli.log");
+
+  const child = spawn(process.execPath, [SERVER], {
+    cwd: dir,
+    env: {
+      PATH: [FAKE_BIN, path.dirname(process.execPath), "/usr/bin", "/bin"].join(
+        path.delimiter
+      ),
+      HOME: dir,
+      PORT: String(port),
+      LOG_LEVEL: "none",
+      AUTH_ENABLED: "false",
+      ADMIN_API_KEY: "admin-secret",
+      JOBS_FILE: path.join(dir, "jobs.json"),
+      SESSIONS_FILE: path.join(dir, "sessions.json"),
+      API_KEYS_FILE: path.join(dir, "api-keys.json"),
+      USAGE_FILE: path.join(dir, "usage.jsonl"),
+      TEMPLATES_DIR: path.join(dir, "templates"),
+      WORKSPACE_ROOT: path.join(dir, "workspaces"),
+      RETRY_BASE_DELAY: "10",
+      SHUTDOWN_GRACE_PERIOD: "500",
+      SHUTDOWN_KILL_TIMEOUT: "500",
+      FAKE_CLI_LOG: cliLog,
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  let stdout = "";
+  let stderr = "";
+  child.stdout.on("data", (data) => (stdout += data));
+  child.stderr.on("data", (data) => (stderr += data));
+
+  const url = `http://127.0.0.1:${port}`;
+  for (let i = 0; ; i++) {
+    if (child.exitCode !== null) {
+      throw new Error(`Server exited with ${child.exitCode}: ${stderr}`);
+    }
+    try {
+      await fetch(`${url}/livez`);
+      break;
+    } catch (error) {
+      if (i > 100) throw error;
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+  }
+
+  return {
+    url,
+    dir,
+
+    /**
+     * Send a JSON request and return { status, headers, body }
+     */
+    async request(method, route, { body, headers = {} } = {}) {
+      const res = await fetch(`${url}${route}`, {
+        method,
+        headers: {
+          ...(body !== undefined && { "Content-Type": "application/json" }),
+          ...headers,
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+      });
+      const text = await res.text();
+      let parsed = text;
+      try {
+        parsed = JSON.parse(text);
+      } catch (e) {
+        // NDJSON or plain text
+      }
+      return { status: res.status, headers: res.headers, body: parsed };
+    },
+
+    /**
+     * Create an API key and return the headers that authenticate with it
+     * @param {Object} body - POST /api/admin/keys body
+     */
+    async createApiKey(body) {
+      const res = await this.request("POST", "/api/admin/keys", {
+        body,
+        headers: ADMIN,
+      });
+      if (res.status !== 201) {
+        throw new Error(
+          `Failed to create API key: ${JSON.stringify(res.body)}`
+        );
+      }
+      return { Authorization: `Bearer ${res.body.key}` };
+    },
+
+    /**
+     * Runs of the fake CLIs so far, as { event, cli, pid, args }
+     */
+    cliRuns() {
+      if (!fs.existsSync(cliLog)) return [];
+      return fs
+        .readFileSync(cliLog, "utf8")
+        .split("\n")
+        .filter(Boolean)
+        .map((line) => JSON.parse(line));
+    },
+
+    /**
+     * JSON log lines the server has written so far (set LOG_LEVEL to see any)
+     */
+    logs() {
+      return (stdout + stderr)
+        .split("\n")
+        .filter((line) => line.startsWith("{"))
+        .map((line) => JSON.parse(line));
+    },
+
+    /**
+     * Send the server a signal and wait for it to exit
+     * @returns {Promise<number>} The exit code
+     */
+    async signal(name) {
+      if (child.exitCode !== null) return child.exitCode;
+      const exited = new Promise((resolve) => child.once("exit", resolve));
+      child.kill(name);
+      return exited;
+    },
+
+    async stop() {
+      if (child.exitCode === null) {
+        const exited = new Promise((resolve) => child.once("exit", resolve));
+        child.kill("SIGTERM");
+        const timer = setTimeout(() => child.kill("SIGKILL"), 5000);
+        await exited;
+        clearTimeout(timer);
+      }
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+module.exports = { startServer, ADMIN };
@@ -0,0 +1,51 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startServer, ADMIN } = require("./helpers");
+
+let server;
+let alice;
+let bob;
+before(async () => {
+  server = await startServer();
+  alice = await server.createApiKey({ name: "alice" });
+  bob = await server.createApiKey({ name: "bob" });
+});
+after(() => server.stop());
+
+test("jobs are only visible to the caller that submitted them and admins", async () => {
+  const submitted = await server.request("POST", "/api/jobs", {
+    body: { prompt: "SLEEP:2000 hello" },
+    headers: alice,
+  });
+  assert.strictEqual(submitted.status, 202);
+  const route = `/api/jobs/${submitted.body.jobId}`;
+
+  assert.strictEqual(
+    (await server.request("GET", route, { headers: alice })).status,
+    200
+  );
+  assert.strictEqual(
+    (await server.request("GET", route, { headers: bob })).status,
+    404
+  );
+  assert.strictEqual(
+    (await server.request("GET", route, { headers: ADMIN })).status,
+    200
+  );
+
+  const list = async (headers) =>
+    (await server.request("GET", "/api/jobs", { headers })).body.jobs.map(
+      (job) => job.id
+    );
+  assert.deepStrictEqual(await list(alice), [submitted.body.jobId]);
+  assert.deepStrictEqual(await list(bob), []);
+  assert.deepStrictEqual(await list(ADMIN), [submitted.body.jobId]);
+
+  const denied = await server.request("DELETE", route, { headers: bob });
+  assert.strictEqual(denied.status, 404);
+  assert.strictEqual(denied.body.code, "not_found");
+
+  const cancelled = await server.request("DELETE", route, { headers: alice });
+  assert.strictEqual(cancelled.status, 200);
+  assert.strictEqual(cancelled.body.status, "cancelled");
+});
@@ -0,0 +1,57 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startServer } = require("./helpers");
+
+let server;
+before(async () => {
+  server = await startServer({ LOG_LEVEL: "info" });
+});
+after(() => server.stop());
+
+test("request ids are taken from X-Request-Id or generated", async () => {
+  const given = await server.request("GET", "/api/info", {
+    headers: { "X-Request-Id": "trace-123" },
+  });
+  assert.strictEqual(given.headers.get("x-request-id"), "trace-123");
+
+  const invalid = await server.request("GET", "/api/info", {
+    headers: { "X-Request-Id": "not a valid id!" },
+  });
+  assert.match(
+    invalid.headers.get("x-request-id"),
+    /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/
+  );
+});
+
+test("log lines carry the request id and leave out prompts and secrets", async () => {
+  const res = await server.request("POST", "/api/process", {
+    body: {
+      prompt: "secret prompt text",
+      systemPrompt: "secret system prompt",
+      settings: { apiKey: "sk-secret-value", theme: "dark" },
+    },
+    headers: { "X-Request-Id": "logged-request" },
+  });
+  assert.strictEqual(res.status, 200);
+
+  // The access log line is written once the response has finished
+  let lines = [];
+  for (let i = 0; i < 40; i++) {
+    lines = server.logs().filter((line) => line.requestId === "logged-request");
+    if (lines.some((line) => line.msg === "Request completed")) break;
+    await new Promise((resolve) => setTimeout(resolve, 25));
+  }
+  const executing = lines.find((line) => line.msg === "Executing CLI");
+  assert.ok(executing, "no Executing CLI line");
+  assert.strictEqual(executing.cli, "claude");
+  assert.strictEqual(executing.args[executing.args.length - 1], "<prompt>");
+  assert.ok(executing.args.includes('{"apiKey":"[REDACTED]","theme":"dark"}'));
+
+  const completed = lines.find((line) => line.msg === "Request completed");
+  assert.strictEqual(completed.status, 200);
+  assert.strictEqual(completed.method, "POST");
+
+  const text = JSON.stringify(lines);
+  assert.ok(!text.includes("secret prompt"));
+  assert.ok(!text.includes("sk-secret-value"));
+});
@@ -0,0 +1,54 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startServer } = require("./helpers");
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.stop());
+
+test("unknown models share the 'other' metric label", async () => {
+  for (const model of ["sonnet", "made-up-1", "made-up-2"]) {
+    const res = await server.request("POST", "/api/ask", {
+      body: { prompt: "hello", model },
+    });
+    assert.strictEqual(res.status, 200);
+  }
+
+  const { body } = await server.request("GET", "/metrics");
+  assert.ok(!body.includes("made-up"));
+  assert.match(
+    body,
+    /aicli_cli_executions_total\{cli="claude",model="other",outcome="success"\} 2/
+  );
+  assert.match(
+    body,
+    /aicli_cli_executions_total\{cli="claude",model="sonnet",outcome="success"\} 1/
+  );
+  assert.match(body, /aicli_http_requests_total\{[^}]*model="other"\} 2/);
+});
+
+test("process gauges report pool slots and child processes separately", async () => {
+  const { body } = await server.request("GET", "/metrics");
+  assert.match(body, /^aicli_pool_running\{cli="claude"\} 0$/m);
+  assert.match(body, /^aicli_child_processes \d+$/m);
+});
+
+test("timeouts are counted by kind", async () => {
+  const res = await server.request("POST", "/api/process", {
+    body: { prompt: "SLEEP:3000 slow", timeout: 200, disableFallback: true },
+  });
+  assert.strictEqual(res.status, 504);
+  assert.strictEqual(res.body.code, "timeout");
+
+  const { body } = await server.request("GET", "/metrics");
+  assert.match(
+    body,
+    /^aicli_cli_timeouts_total\{cli="claude",kind="timeout"\} 1$/m
+  );
+  assert.match(
+    body,
+    /^# HELP aicli_circuit_breaker_open .*0 closed, 0\.5 half-open, 1 open$/m
+  );
+});
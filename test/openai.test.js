@@ -0,0 +1,38 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startServer } = require("./helpers");
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.stop());
+
+const chat = (body) =>
+  server.request("POST", "/v1/chat/completions", {
+    body: { messages: [{ role: "user", content: "hello" }], ...body },
+  });
+
+test("chat completions answer in the OpenAI shape", async () => {
+  const res = await chat({ model: "sonnet" });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.object, "chat.completion");
+  assert.strictEqual(res.body.choices[0].message.role, "assistant");
+  assert.strictEqual(
+    res.body.choices[0].message.content,
+    "claude sonnet: hello"
+  );
+  assert.strictEqual(res.body._meta.usedCLI, "claude");
+});
+
+test("unknown CLIs are rejected before anything runs", async () => {
+  const runs = server.cliRuns().length;
+
+  for (const stream of [false, true]) {
+    const res = await chat({ cli: "foo", stream });
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.error.type, "invalid_request_error");
+    assert.match(res.body.error.message, /cli must be one of/);
+  }
+  assert.strictEqual(server.cliRuns().length, runs);
+});
@@ -0,0 +1,72 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startServer } = require("./helpers");
+
+let server;
+let policyDir;
+
+before(async () => {
+  policyDir = fs.mkdtempSync(path.join(os.tmpdir(), "ai-cli-api-policy-"));
+  const POLICY_FILE = path.join(policyDir, "policy.json");
+  fs.writeFileSync(
+    POLICY_FILE,
+    JSON.stringify({
+      allowDangerouslySkipPermissions: false,
+      allowedTools: ["Read", "Bash"],
+      allowedModels: ["sonnet", "gemini-2.5-flash"],
+      maxTimeout: 60000,
+    })
+  );
+  server = await startServer({ POLICY_FILE });
+});
+after(async () => {
+  await server.stop();
+  fs.rmSync(policyDir, { recursive: true, force: true });
+});
+
+const run = (body) =>
+  server.request("POST", "/api/process", {
+    body: { prompt: "hello", ...body },
+  });
+
+const assertViolation = (res, field) => {
+  assert.strictEqual(res.status, 403);
+  assert.strictEqual(res.body.code, "policy_violation");
+  assert.deepStrictEqual(
+    res.body.violations.map((violation) => violation.field),
+    [field]
+  );
+};
+
+test("requests within the policy run", async () => {
+  const res = await run({
+    model: "sonnet",
+    allowedTools: ["Read", "Bash(git:*)"],
+    timeout: 30000,
+  });
+  assert.strictEqual(res.status, 200);
+});
+
+test("disallowed options are refused before anything runs", async () => {
+  const runs = server.cliRuns().length;
+
+  assertViolation(await run({ model: "opus" }), "model");
+  assertViolation(await run({ allowedTools: ["Write"] }), "allowedTools");
+  assertViolation(await run({ timeout: 120000 }), "timeout");
+  assertViolation(
+    await run({ dangerouslySkipPermissions: true }),
+    "dangerouslySkipPermissions"
+  );
+
+  assert.strictEqual(server.cliRuns().length, runs);
+});
+
+test("batch prompts are checked with their own models", async () => {
+  const res = await server.request("POST", "/api/batch", {
+    body: { prompts: ["hello", { prompt: "hi", model: "opus" }] },
+  });
+  assertViolation(res, "model");
+});
@@ -0,0 +1,88 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startServer } = require("./helpers");
+
+let server;
+before(async () => {
+  server = await startServer({
+    CLAUDE_MAX_CONCURRENCY: "1",
+    POOL_MAX_QUEUE: "1",
+    POOL_QUEUE_TIMEOUT: "1000",
+  });
+});
+after(() => server.stop());
+
+const ask = (prompt) =>
+  server.request("POST", "/api/ask", {
+    body: { prompt, cli: "claude", disableFallback: true },
+  });
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("requests queue for a slot and are refused once the queue is full", async () => {
+  const running = ask("SLEEP:600 first");
+  await wait(150);
+  const queued = ask("second");
+  await wait(150);
+
+  const { body } = await server.request("GET", "/api/pool");
+  assert.strictEqual(body.pools.claude.running, 1);
+  assert.strictEqual(body.pools.claude.queued, 1);
+
+  const refused = await ask("third");
+  assert.strictEqual(refused.status, 429);
+  assert.strictEqual(refused.body.code, "queue_full");
+  assert.ok(refused.headers.get("retry-after"));
+
+  assert.strictEqual((await running).status, 200);
+  assert.strictEqual((await queued).status, 200);
+
+  const starts = server.cliRuns().filter((run) => run.event === "start");
+  assert.strictEqual(starts.length, 2);
+});
+
+test("queued requests time out after POOL_QUEUE_TIMEOUT", async () => {
+  const running = ask("SLEEP:2000 slow");
+  await wait(150);
+
+  const queued = await ask("waiting");
+  assert.strictEqual(queued.status, 503);
+  assert.strictEqual(queued.body.code, "queue_timeout");
+  assert.strictEqual(queued.body.retryable, true);
+
+  assert.strictEqual((await running).status, 200);
+  const { body } = await server.request("GET", "/api/pool");
+  assert.strictEqual(body.pools.claude.running, 0);
+  assert.strictEqual(body.pools.claude.timedOut, 1);
+});
+
+test("cancelling a job leaves the pool queue", async () => {
+  const submit = async (prompt) => {
+    const res = await server.request("POST", "/api/jobs", {
+      body: { prompt, cli: "claude", disableFallback: true },
+    });
+    assert.strictEqual(res.status, 202);
+    return res.body.jobId;
+  };
+  const running = await submit("SLEEP:800 job");
+  await wait(150);
+  const queued = await submit("queued job");
+  await wait(150);
+
+  let { body } = await server.request("GET", "/api/pool");
+  assert.strictEqual(body.pools.claude.queued, 1);
+
+  const cancelled = await server.request("DELETE", `/api/jobs/${queued}`);
+  assert.strictEqual(cancelled.status, 200);
+  await wait(50);
+  ({ body } = await server.request("GET", "/api/pool"));
+  assert.strictEqual(body.pools.claude.queued, 0);
+
+  const job = await server.request("GET", `/api/jobs/${queued}`);
+  assert.strictEqual(job.body.status, "cancelled");
+  while (
+    (await server.request("GET", `/api/jobs/${running}`)).body.status ===
+    "running"
+  ) {
+    await wait(100);
+  }
+});
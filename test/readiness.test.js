@@ -0,0 +1,67 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { startServer } = require("./helpers");
+
+test("the probe reports installed CLIs without credentials as not ready", async () => {
+  const server = await startServer();
+  try {
+    const res = await server.request("GET", "/readyz");
+    assert.strictEqual(res.status, 503);
+    assert.strictEqual(res.body.status, "not ready");
+    assert.deepStrictEqual(res.body.clis.claude, {
+      installed: true,
+      version: "claude 0.0.0-test",
+      credentials: { configured: false, source: null },
+      ready: false,
+    });
+  } finally {
+    await server.stop();
+  }
+});
+
+test("credentials from the environment or a file make a CLI ready", async () => {
+  const server = await startServer({ ANTHROPIC_API_KEY: "test-key" });
+  try {
+    fs.mkdirSync(path.join(server.dir, ".gemini"));
+    fs.writeFileSync(
+      path.join(server.dir, ".gemini", "oauth_creds.json"),
+      "{}"
+    );
+
+    const res = await server.request("GET", "/readyz");
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.status, "ready");
+    assert.deepStrictEqual(res.body.clis.claude.credentials, {
+      configured: true,
+      source: "ANTHROPIC_API_KEY",
+    });
+    assert.deepStrictEqual(res.body.clis.gemini.credentials, {
+      configured: true,
+      source: "~/.gemini/oauth_creds.json",
+    });
+  } finally {
+    await server.stop();
+  }
+});
+
+test("a CLI missing from PATH is not ready", async () => {
+  const server = await startServer({
+    ANTHROPIC_API_KEY: "test-key",
+    PATH: [path.dirname(process.execPath), "/usr/bin", "/bin"].join(
+      path.delimiter
+    ),
+  });
+  try {
+    const res = await server.request("GET", "/readyz");
+    assert.strictEqual(res.status, 503);
+    assert.strictEqual(res.body.clis.claude.installed, false);
+    assert.strictEqual(res.body.clis.claude.error, "claude not found on PATH");
+
+    // Liveness does not depend on the CLIs
+    assert.strictEqual((await server.request("GET", "/livez")).status, 200);
+  } finally {
+    await server.stop();
+  }
+});
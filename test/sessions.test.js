@@ -0,0 +1,121 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startServer, ADMIN } = require("./helpers");
+
+const FAKE_CLI = path.join(__dirname, "fixtures", "fake-cli.js");
+
+let server;
+let providersFile;
+
+before(async () => {
+  providersFile = path.join(
+    fs.mkdtempSync(path.join(os.tmpdir(), "ai-cli-api-providers-")),
+    "providers.json"
+  );
+  fs.writeFileSync(
+    providersFile,
+    JSON.stringify({
+      providers: { echo: { command: "node", args: [FAKE_CLI, "echo"] } },
+    })
+  );
+  server = await startServer({
+    PROVIDERS_FILE: providersFile,
+    FALLBACK_CHAIN: "claude,echo,gemini",
+    FAKE_CLI_FAIL: "claude",
+  });
+});
+after(async () => {
+  await server.stop();
+  fs.rmSync(path.dirname(providersFile), { recursive: true, force: true });
+});
+
+test("sessions are only reachable by the caller that created them", async () => {
+  const alice = await server.createApiKey({ name: "alice" });
+  const bob = await server.createApiKey({ name: "bob" });
+
+  const created = await server.request("POST", "/api/sessions", {
+    body: { cli: "gemini" },
+    headers: alice,
+  });
+  assert.strictEqual(created.status, 201);
+  const route = `/api/sessions/${created.body.id}`;
+
+  for (const [method, suffix, body] of [
+    ["GET", "", undefined],
+    ["POST", "/messages", { prompt: "hello" }],
+    ["DELETE", "", undefined],
+  ]) {
+    const res = await server.request(method, route + suffix, {
+      body,
+      headers: bob,
+    });
+    assert.strictEqual(res.status, 404, `${method} ${suffix}`);
+    assert.strictEqual(res.body.code, "not_found");
+  }
+  assert.deepStrictEqual(server.cliRuns(), []);
+
+  const reply = await server.request("POST", `${route}/messages`, {
+    body: { prompt: "hello" },
+    headers: alice,
+  });
+  assert.strictEqual(reply.status, 200);
+  assert.strictEqual(
+    (await server.request("GET", route, { headers: ADMIN })).status,
+    200
+  );
+  assert.strictEqual(
+    (await server.request("DELETE", route, { headers: alice })).status,
+    200
+  );
+});
+
+test("sessions reject unknown CLIs", async () => {
+  const res = await server.request("POST", "/api/sessions", {
+    body: { cli: "nope" },
+  });
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(res.body.code, "invalid_request");
+});
+
+test("session fallback stays within the API key's CLIs", async () => {
+  const key = await server.createApiKey({
+    name: "scoped",
+    clis: ["claude", "gemini"],
+  });
+
+  const res = await server.request("POST", "/api/sessions", {
+    body: { cli: "claude", prompt: "hello" },
+    headers: key,
+  });
+  assert.strictEqual(res.status, 201);
+  assert.strictEqual(res.body.metadata.usedCLI, "gemini");
+  assert.strictEqual(res.body.metadata.movedFrom, "claude");
+  assert.ok(!server.cliRuns().some((run) => run.cli === "echo"));
+});
+
+test("a busy session answers 409 with a typed error", async () => {
+  const created = await server.request("POST", "/api/sessions", {
+    body: { cli: "gemini" },
+  });
+  const route = `/api/sessions/${created.body.id}`;
+
+  const running = server.request("POST", `${route}/messages`, {
+    body: { prompt: "SLEEP:1000 hello" },
+  });
+  await new Promise((resolve) => setTimeout(resolve, 200));
+
+  for (const [method, suffix, body] of [
+    ["POST", "/messages", { prompt: "hello" }],
+    ["DELETE", "", undefined],
+  ]) {
+    const res = await server.request(method, `${route}${suffix}`, { body });
+    assert.strictEqual(res.status, 409);
+    assert.strictEqual(res.body.code, "conflict");
+    assert.strictEqual(res.body.retryable, false);
+  }
+
+  assert.strictEqual((await running).status, 200);
+});
@@ -0,0 +1,56 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { startServer } = require("./helpers");
+
+const ask = (server, prompt) =>
+  server.request("POST", "/api/ask", {
+    body: { prompt, disableFallback: true },
+  });
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("in-flight requests finish before the server exits", async () => {
+  const server = await startServer({ SHUTDOWN_GRACE_PERIOD: "5000" });
+  try {
+    const running = ask(server, "SLEEP:800 draining");
+    await wait(200);
+    const exited = server.signal("SIGTERM");
+
+    const res = await running;
+    assert.strictEqual(res.status, 200);
+    assert.match(res.body.text, /draining$/);
+    assert.strictEqual(await exited, 0);
+
+    const runs = server.cliRuns();
+    assert.ok(!runs.some((run) => run.event === "sigterm"));
+  } finally {
+    await server.stop();
+  }
+});
+
+test("CLI processes still running after the grace period are stopped", async () => {
+  const server = await startServer({
+    SHUTDOWN_GRACE_PERIOD: "300",
+    SHUTDOWN_KILL_TIMEOUT: "1000",
+  });
+  try {
+    const running = ask(server, "SLEEP:10000 too slow");
+    await wait(200);
+    const [started] = server.cliRuns();
+    const exited = server.signal("SIGTERM");
+
+    const res = await running;
+    assert.strictEqual(res.status, 503);
+    assert.strictEqual(res.body.code, "shutting_down");
+    assert.strictEqual(res.body.retryable, true);
+    assert.strictEqual(res.headers.get("retry-after"), "5");
+    assert.strictEqual(await exited, 0);
+
+    assert.ok(
+      server
+        .cliRuns()
+        .some((run) => run.event === "sigterm" && run.pid === started.pid)
+    );
+  } finally {
+    await server.stop();
+  }
+});
@@ -0,0 +1,72 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startServer } = require("./helpers");
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.stop());
+
+const lastPrompt = (cli) => {
+  const runs = server.cliRuns().filter((run) => run.cli === cli);
+  const { args } = runs[runs.length - 1];
+  return args[args.length - 1];
+};
+
+test("gemini streams get both system prompts, like other gemini runs", async () => {
+  const body = {
+    prompt: "hello",
+    cli: "gemini",
+    systemPrompt: "Be brief.",
+    appendSystemPrompt: "Answer in French.",
+  };
+
+  const streamed = await server.request("POST", "/api/stream", { body });
+  assert.strictEqual(streamed.status, 200);
+  const streamPrompt = lastPrompt("gemini");
+
+  const processed = await server.request("POST", "/api/process", { body });
+  assert.strictEqual(processed.status, 200);
+
+  assert.strictEqual(
+    streamPrompt,
+    "System: Be brief.\n\nAnswer in French.\n\nUser: hello"
+  );
+  assert.strictEqual(lastPrompt("gemini"), streamPrompt);
+});
+
+test("a client disconnect stops the CLI and frees its slot", async () => {
+  const controller = new AbortController();
+  const response = fetch(`${server.url}/api/stream`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ prompt: "SLEEP:5000 hello", cli: "claude" }),
+    signal: controller.signal,
+  }).catch(() => null);
+
+  let started;
+  for (let i = 0; i < 100 && !started; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    started = server
+      .cliRuns()
+      .find(
+        (run) => run.event === "start" && run.args.includes("SLEEP:5000 hello")
+      );
+  }
+  assert.ok(started, "CLI never started");
+  controller.abort();
+  await response;
+
+  let stopped;
+  for (let i = 0; i < 40 && !stopped; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    stopped = server
+      .cliRuns()
+      .some((run) => run.event === "sigterm" && run.pid === started.pid);
+  }
+  assert.ok(stopped, "CLI was not stopped");
+
+  const pool = await server.request("GET", "/api/pool");
+  assert.strictEqual(pool.body.pools.claude.running, 0);
+});
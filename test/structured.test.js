@@ -0,0 +1,72 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startServer } = require("./helpers");
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.stop());
+
+const schema = {
+  type: "object",
+  required: ["name", "age"],
+  properties: { name: { type: "string" }, age: { type: "integer" } },
+};
+const structured = (prompt, route = "/api/process") =>
+  server.request("POST", route, {
+    body: { prompt, responseSchema: schema, disableFallback: true },
+  });
+const runCount = () =>
+  server.cliRuns().filter((run) => run.event === "start").length;
+
+test("answers that match the schema are returned as structuredOutput", async () => {
+  const res = await structured('Reply with {"name":"Jane","age":34}');
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(res.body.structuredOutput, { name: "Jane", age: 34 });
+  assert.strictEqual(res.body.metadata.schemaAttempts, 1);
+});
+
+test("invalid JSON is retried with the validation errors", async () => {
+  const runs = runCount();
+  const res = await structured(
+    'Reply with {"name": RETRY:{"name":"Jane","age":34}'
+  );
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(res.body.structuredOutput, { name: "Jane", age: 34 });
+  assert.strictEqual(res.body.metadata.schemaAttempts, 2);
+  assert.strictEqual(runCount() - runs, 2);
+
+  const retried = server.cliRuns().filter((run) => run.event === "start");
+  const retryPrompt = retried[retried.length - 1].args.at(-1);
+  assert.match(retryPrompt, /did not match the required JSON Schema/);
+  assert.match(retryPrompt, /Response does not contain valid JSON/);
+});
+
+test("answers that never match fail with schema_mismatch", async () => {
+  const runs = runCount();
+  const res = await structured('RETRY:{"name":"Jane","age":"old"}');
+  assert.strictEqual(res.status, 422);
+  assert.strictEqual(res.body.code, "schema_mismatch");
+  assert.deepStrictEqual(res.body.validationErrors, ["/age must be integer"]);
+  assert.match(res.body.lastResponse, /"age":"old"/);
+  assert.strictEqual(runCount() - runs, 3); // SCHEMA_MAX_RETRIES defaults to 2
+});
+
+test("invalid schemas and routes without schema support are rejected", async () => {
+  const invalid = await server.request("POST", "/api/process", {
+    body: { prompt: "hello", responseSchema: { type: "not-a-type" } },
+  });
+  assert.strictEqual(invalid.status, 400);
+  assert.match(invalid.body.message, /responseSchema is invalid/);
+
+  for (const route of ["/api/ask", "/api/stream"]) {
+    const res = await structured("hello", route);
+    assert.strictEqual(res.status, 400, route);
+    assert.match(res.body.message, /only supported by \/api\/process/);
+  }
+  const batch = await server.request("POST", "/api/batch", {
+    body: { prompts: ["hello"], responseSchema: schema },
+  });
+  assert.strictEqual(batch.status, 400);
+});
@@ -0,0 +1,212 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { startServer, ADMIN } = require("./helpers");
+
+let server;
+before(async () => {
+  server = await startServer();
+  const created = await server.request("POST", "/api/templates", {
+    body: {
+      name: "translate",
+      prompt: "Translate {{text}} into {{lang}}",
+      systemPrompt: "You translate {{style}} text",
+      defaults: { lang: "German", style: "formal" },
+    },
+    headers: ADMIN,
+  });
+  assert.strictEqual(created.status, 201);
+});
+after(() => server.stop());
+
+const lastPrompt = () => server.cliRuns().at(-1).args.at(-1);
+
+test("changing templates needs the admin key", async () => {
+  const user = await server.createApiKey({ name: "user" });
+  const body = { name: "hello", prompt: "Say hello" };
+
+  const anonymous = await server.request("POST", "/api/templates", { body });
+  assert.strictEqual(anonymous.status, 401);
+  const forbidden = await server.request("POST", "/api/templates", {
+    body,
+    headers: user,
+  });
+  assert.strictEqual(forbidden.status, 403);
+  for (const method of ["PUT", "DELETE"]) {
+    const res = await server.request(method, "/api/templates/translate", {
+      body,
+      headers: user,
+    });
+    assert.strictEqual(res.status, 403, method);
+  }
+
+  // Reading them only needs normal authentication
+  const list = await server.request("GET", "/api/templates", { headers: user });
+  assert.strictEqual(list.status, 200);
+  assert.deepStrictEqual(
+    list.body.templates.map((template) => template.name),
+    ["translate"]
+  );
+});
+
+test("templates can be created, read, replaced and deleted", async () => {
+  const templateFile = path.join(server.dir, "templates", "summarize.json");
+
+  const created = await server.request("POST", "/api/templates", {
+    body: { name: "summarize", prompt: "Summarize {{text}} in {{count}}" },
+    headers: ADMIN,
+  });
+  assert.strictEqual(created.status, 201);
+  assert.deepStrictEqual(created.body.variables, ["text", "count"]);
+  assert.deepStrictEqual(created.body.required, ["text", "count"]);
+  assert.ok(fs.existsSync(templateFile));
+
+  const duplicate = await server.request("POST", "/api/templates", {
+    body: { name: "summarize", prompt: "Again" },
+    headers: ADMIN,
+  });
+  assert.strictEqual(duplicate.status, 409);
+  assert.strictEqual(duplicate.body.code, "conflict");
+
+  const replaced = await server.request("PUT", "/api/templates/summarize", {
+    body: { prompt: "Summarize {{text}}", defaults: { text: "nothing" } },
+    headers: ADMIN,
+  });
+  assert.strictEqual(replaced.status, 200);
+  const read = await server.request("GET", "/api/templates/summarize");
+  assert.strictEqual(read.status, 200);
+  assert.strictEqual(read.body.prompt, "Summarize {{text}}");
+  assert.deepStrictEqual(read.body.required, []);
+
+  const deleted = await server.request("DELETE", "/api/templates/summarize", {
+    headers: ADMIN,
+  });
+  assert.strictEqual(deleted.status, 200);
+  assert.ok(!fs.existsSync(templateFile));
+  const missing = await server.request("GET", "/api/templates/summarize");
+  assert.strictEqual(missing.status, 404);
+});
+
+test("invalid templates are rejected", async () => {
+  const cases = [
+    [{ name: "../evil", prompt: "x" }, /name must start with/],
+    [{ name: "empty" }, /prompt is required/],
+    [{ name: "bad-cli", prompt: "x", cli: "nope" }, /cli must be one of/],
+    [
+      { name: "bad-defaults", prompt: "{{x}}", defaults: { x: { y: 1 } } },
+      /defaults values must be strings/,
+    ],
+  ];
+  for (const [body, message] of cases) {
+    const res = await server.request("POST", "/api/templates", {
+      body,
+      headers: ADMIN,
+    });
+    assert.strictEqual(res.status, 400, body.name);
+    assert.match(res.body.message, message);
+  }
+});
+
+test("variables and defaults are filled in", async () => {
+  const res = await server.request("POST", "/api/ask", {
+    body: {
+      template: "translate",
+      variables: { text: { greeting: "{{lang}}" }, style: "casual" },
+    },
+  });
+  assert.strictEqual(res.status, 200);
+
+  // Objects are inserted as JSON and not expanded again
+  assert.strictEqual(
+    lastPrompt(),
+    'Translate {"greeting":"{{lang}}"} into German'
+  );
+  const { args } = server.cliRuns().at(-1);
+  assert.ok(args.includes("You translate casual text"));
+});
+
+test("missing variables, unknown templates and prompt with template fail", async () => {
+  const cases = [
+    [{ template: "translate" }, /missing variables: text/],
+    [{ template: "nope" }, /Unknown template nope/],
+    [
+      { template: "translate", prompt: "hi", variables: { text: "x" } },
+      /either prompt or template/,
+    ],
+    [
+      { template: "translate", variables: ["x"] },
+      /variables must be an object/,
+    ],
+  ];
+
+  const runs = server.cliRuns().length;
+  for (const [body, message] of cases) {
+    const res = await server.request("POST", "/api/process", { body });
+    assert.strictEqual(res.status, 400, String(message));
+    assert.strictEqual(res.body.code, "invalid_request");
+    assert.match(res.body.message, message);
+  }
+  assert.strictEqual(server.cliRuns().length, runs);
+});
+
+test("batch prompts use the batch template and variables", async () => {
+  const res = await server.request("POST", "/api/batch", {
+    body: {
+      template: "translate",
+      variables: { lang: "Dutch" },
+      prompts: [
+        { variables: { text: "Good morning" } },
+        { variables: { text: "Good night", lang: "French" } },
+        "A plain prompt",
+      ],
+    },
+  });
+  assert.strictEqual(res.status, 200);
+
+  const prompts = server
+    .cliRuns()
+    .filter((run) => run.event === "start")
+    .slice(-3)
+    .map((run) => run.args.at(-1))
+    .sort();
+  assert.deepStrictEqual(prompts, [
+    "A plain prompt",
+    "Translate Good morning into Dutch",
+    "Translate Good night into French",
+  ]);
+});
+
+test("key scopes are checked against the expanded request", async () => {
+  const created = await server.request("POST", "/api/templates", {
+    body: { name: "ask-gemini", prompt: "Hello", cli: "gemini" },
+    headers: ADMIN,
+  });
+  assert.strictEqual(created.status, 201);
+  const claudeOnly = await server.createApiKey({
+    name: "claude-only",
+    clis: ["claude"],
+  });
+
+  const runs = server.cliRuns().length;
+  const single = await server.request("POST", "/api/process", {
+    body: { template: "ask-gemini" },
+    headers: claudeOnly,
+  });
+  assert.strictEqual(single.status, 403);
+  const batch = await server.request("POST", "/api/batch", {
+    body: { prompts: ["Hi", { template: "ask-gemini" }] },
+    headers: claudeOnly,
+  });
+  assert.strictEqual(batch.status, 403);
+  assert.strictEqual(batch.body.code, "forbidden");
+  assert.strictEqual(server.cliRuns().length, runs);
+
+  // The request's own cli overrides the template's
+  const overridden = await server.request("POST", "/api/process", {
+    body: { template: "ask-gemini", cli: "claude" },
+    headers: claudeOnly,
+  });
+  assert.strictEqual(overridden.status, 200);
+  assert.strictEqual(server.cliRuns().at(-1).cli, "claude");
+});
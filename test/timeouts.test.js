@@ -0,0 +1,45 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startServer } = require("./helpers");
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.stop());
+
+const run = (body) =>
+  server.request("POST", "/api/process", {
+    body: { prompt: "hello", disableFallback: true, ...body },
+  });
+
+test("timeouts that would turn the limit off are rejected", async () => {
+  const runs = server.cliRuns().length;
+
+  for (const timeout of [0, -1, "abc", 1.5, null]) {
+    const res = await run({ timeout });
+    assert.strictEqual(res.status, 400, String(timeout));
+    assert.match(res.body.message, /timeout must be a positive integer/);
+  }
+  const batch = await server.request("POST", "/api/batch", {
+    body: { prompts: ["hello"], timeout: 0 },
+  });
+  assert.strictEqual(batch.status, 400);
+
+  assert.strictEqual(server.cliRuns().length, runs);
+});
+
+test("runs longer than their timeout are stopped", async () => {
+  const res = await run({ prompt: "SLEEP:5000 slow", timeout: 300 });
+  assert.strictEqual(res.status, 504);
+  assert.strictEqual(res.body.code, "timeout");
+
+  const [started] = server
+    .cliRuns()
+    .filter((entry) => entry.args.includes("SLEEP:5000 slow"));
+  assert.ok(
+    server
+      .cliRuns()
+      .some((entry) => entry.event === "sigterm" && entry.pid === started.pid)
+  );
+});
@@ -0,0 +1,100 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startServer, ADMIN } = require("./helpers");
+
+test("stream-json and text runs are recorded in the usage ledger", async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  for (const [cli, outputFormat] of [
+    ["claude", "stream-json"],
+    ["gemini", "stream-json"],
+    ["claude", "text"],
+  ]) {
+    const res = await server.request("POST", "/api/process", {
+      body: { prompt: "hello", cli, outputFormat },
+    });
+    assert.strictEqual(res.status, 200);
+  }
+
+  const usage = await server.request("GET", "/api/usage?groupBy=cli");
+  assert.deepStrictEqual(usage.body.totals, {
+    requests: 3,
+    inputTokens: 20,
+    outputTokens: 10,
+    costUsd: 0.01,
+  });
+  assert.deepStrictEqual(
+    usage.body.groups.map((group) => [group.cli, group.requests]),
+    [
+      ["claude", 2],
+      ["gemini", 1],
+    ]
+  );
+
+  const ledger = fs
+    .readFileSync(path.join(server.dir, "usage.jsonl"), "utf8")
+    .trim()
+    .split("\n")
+    .map(JSON.parse);
+  assert.strictEqual(ledger.length, 3);
+  assert.strictEqual(ledger[2].inputTokens, 0);
+  assert.strictEqual(ledger[2].costUsd, null);
+});
+
+test("daily totals are rebuilt from the ledger on startup", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ai-cli-api-usage-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const ledger = path.join(dir, "usage.jsonl");
+  const record = (timestamp, user, inputTokens) =>
+    JSON.stringify({
+      timestamp,
+      requestId: null,
+      user,
+      cli: "claude",
+      model: "sonnet",
+      inputTokens,
+      outputTokens: 1,
+      costUsd: 0.5,
+    });
+  fs.writeFileSync(
+    ledger,
+    [
+      record("2024-01-01T10:00:00.000Z", "key:a", 10),
+      record("2024-01-01T23:00:00.000Z", "key:b", 20),
+      record("2024-01-02T08:00:00.000Z", "key:a", 30),
+      '{"timestamp": "2024-01-0', // partially written last line
+    ].join("\n")
+  );
+
+  const server = await startServer({ USAGE_FILE: ledger });
+  t.after(() => server.stop());
+
+  const byDay = await server.request(
+    "GET",
+    "/api/usage?groupBy=day&user=key:a",
+    { headers: ADMIN }
+  );
+  assert.deepStrictEqual(
+    byDay.body.groups.map((group) => [group.day, group.inputTokens]),
+    [
+      ["2024-01-01", 10],
+      ["2024-01-02", 30],
+    ]
+  );
+
+  const oneDay = await server.request(
+    "GET",
+    "/api/usage?from=2024-01-01T12:00:00Z&to=2024-01-01",
+    { headers: ADMIN }
+  );
+  assert.deepStrictEqual(oneDay.body.totals, {
+    requests: 2,
+    inputTokens: 30,
+    outputTokens: 2,
+    costUsd: 1,
+  });
+});
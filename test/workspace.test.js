@@ -0,0 +1,121 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { startServer, ADMIN } = require("./helpers");
+
+let server;
+before(async () => {
+  server = await startServer({
+    CLAUDE_MAX_CONCURRENCY: "1",
+    POOL_QUEUE_TIMEOUT: "1000",
+    WORKSPACE_MAX_FILE_SIZE: "10",
+  });
+});
+after(() => server.stop());
+
+const base64 = (text) => Buffer.from(text).toString("base64");
+
+test("a file can't also be the directory of another file", async () => {
+  const res = await server.request("POST", "/api/process", {
+    body: {
+      prompt: "hello",
+      files: [
+        { path: "a", content: base64("x") },
+        { path: "a/b", content: base64("y") },
+      ],
+    },
+  });
+  assert.strictEqual(res.status, 400);
+  assert.match(res.body.message, /file path a conflicts with a\/b/);
+});
+
+test("paths that name the workspace or a directory are rejected", async () => {
+  for (const filePath of [".", "dir/", "a/./", "sub/.."]) {
+    const res = await server.request("POST", "/api/process", {
+      body: {
+        prompt: "hello",
+        files: [{ path: filePath, content: base64("x") }],
+      },
+    });
+    assert.strictEqual(res.status, 400, filePath);
+    assert.match(res.body.message, /must name a file/);
+  }
+});
+
+test("file sizes are checked on the decoded content", async () => {
+  const send = (text) =>
+    server.request("POST", "/api/process", {
+      body: { prompt: "hello", files: [{ path: "f", content: base64(text) }] },
+    });
+
+  assert.strictEqual((await send("x".repeat(10))).status, 200);
+  const tooBig = await send("x".repeat(12));
+  assert.strictEqual(tooBig.status, 400);
+  assert.match(tooBig.body.message, /exceeds 10 bytes/);
+});
+
+test("a workspace that can't be created frees the process slot", async () => {
+  // The file takes the path the attachment's directory needs
+  const body = {
+    prompt: "hello",
+    files: [{ path: "attachments", content: base64("x") }],
+    attachments: [
+      { name: "notes.txt", mimeType: "text/plain", content: base64("hi") },
+    ],
+  };
+
+  for (const route of ["/api/process", "/api/stream", "/api/process"]) {
+    const res = await server.request("POST", route, { body });
+    assert.strictEqual(res.status, 500, route);
+  }
+
+  const pool = await server.request("GET", "/api/pool");
+  assert.strictEqual(pool.body.pools.claude.running, 0);
+  assert.deepStrictEqual(
+    fs.readdirSync(path.join(server.dir, "workspaces")),
+    []
+  );
+
+  const res = await server.request("POST", "/api/process", {
+    body: { prompt: "hello" },
+  });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(
+    server.cliRuns().filter((run) => run.event === "start").length,
+    2
+  );
+});
+
+test("uploads are only read after the credentials are checked", async () => {
+  const secured = await startServer({ AUTH_ENABLED: "true" });
+  const upload = (headers, count = 30) => {
+    const form = new FormData();
+    form.append("prompt", "hello");
+    form.append("cli", "claude");
+    for (let i = 0; i < count; i++) {
+      form.append("files", new Blob(["x"]), `f${i}.txt`);
+    }
+    return fetch(`${secured.url}/api/process`, {
+      method: "POST",
+      headers,
+      body: form,
+    });
+  };
+
+  try {
+    // Too many files is an upload error, but only once the caller is known
+    assert.strictEqual((await upload({})).status, 401);
+    assert.strictEqual((await upload(ADMIN)).status, 400);
+
+    const geminiOnly = await secured.createApiKey({
+      name: "gemini-only",
+      clis: ["gemini"],
+    });
+    const res = await upload(geminiOnly, 1);
+    assert.strictEqual(res.status, 403);
+    assert.strictEqual((await res.json()).code, "forbidden");
+  } finally {
+    await secured.stop();
+  }
+});
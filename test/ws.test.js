@@ -0,0 +1,81 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const WebSocket = require("ws");
+const { startServer } = require("./helpers");
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.stop());
+
+/**
+ * Open /api/ws and collect its frames
+ */
+async function connect(headers) {
+  const ws = new WebSocket(`${server.url.replace("http", "ws")}/api/ws`, {
+    headers,
+  });
+  const frames = [];
+  const waiters = [];
+  ws.on("message", (data) => {
+    frames.push(JSON.parse(data));
+    for (const waiter of waiters.splice(0)) waiter();
+  });
+  await new Promise((resolve, reject) => {
+    ws.once("open", resolve);
+    ws.once("error", reject);
+  });
+
+  return {
+    ws,
+    /**
+     * Wait up to 5 seconds for the next frame of a type
+     */
+    async next(type) {
+      const deadline = Date.now() + 5000;
+      for (;;) {
+        const index = frames.findIndex((frame) => frame.type === type);
+        if (index !== -1) return frames.splice(0, index + 1).pop();
+        if (Date.now() > deadline) throw new Error(`No ${type} frame`);
+        await new Promise((resolve) => {
+          waiters.push(resolve);
+          setTimeout(resolve, 100);
+        });
+      }
+    },
+  };
+}
+
+test("user messages are answered turn by turn", async () => {
+  const session = await connect();
+  session.ws.send(JSON.stringify({ type: "user", text: "first" }));
+  assert.strictEqual((await session.next("ready")).cli, "claude");
+  assert.match((await session.next("done")).text, /first$/);
+
+  session.ws.send(JSON.stringify({ type: "user", text: "second" }));
+  assert.match((await session.next("done")).text, /second$/);
+  session.ws.close();
+});
+
+test("user messages count towards the API key's daily quota", async () => {
+  const key = await server.createApiKey({ name: "ws-quota", dailyQuota: 2 });
+  const session = await connect(key);
+
+  session.ws.send(JSON.stringify({ type: "user", text: "one" }));
+  await session.next("done");
+  session.ws.send(JSON.stringify({ type: "user", text: "two" }));
+  await session.next("done");
+
+  session.ws.send(JSON.stringify({ type: "user", text: "three" }));
+  const error = await session.next("error");
+  assert.strictEqual(error.code, "quota_exceeded");
+  assert.ok(error.retryAfter > 0);
+  session.ws.close();
+
+  const res = await server.request("POST", "/api/ask", {
+    body: { prompt: "hello" },
+    headers: key,
+  });
+  assert.strictEqual(res.status, 429);
+});